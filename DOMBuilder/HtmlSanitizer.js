@@ -0,0 +1,204 @@
+/**
+ * @typedef {{
+ *   allowedTags?: string[],
+ *   allowedAttributes?: Record<string, string[]>,
+ *   allowedSchemes?: string[]
+ * }} SanitizerOptions
+ * - `allowedTags`: các thẻ được giữ lại, thẻ không nằm trong danh sách sẽ bị gỡ nhưng vẫn giữ nội dung bên trong
+ * - `allowedAttributes`: các thuộc tính được giữ lại theo từng thẻ, khóa `*` áp dụng cho mọi thẻ,
+ * tên kết thúc bằng `*` là tiền tố (ví dụ `data-*`, `aria-*`)
+ * - `allowedSchemes`: các scheme được chấp nhận trong thuộc tính chứa URL (`href`, `src`, ...), URL tương đối luôn được chấp nhận
+ */
+
+/**
+ * Các thẻ bị gỡ cùng toàn bộ nội dung bên trong dù có nằm trong `allowedTags` hay không
+ */
+const DROPPED_TAGS = new Set([
+    "script", "style", "iframe", "frame", "frameset", "object", "embed", "applet", "template", "noscript",
+    "svg", "math", "link", "meta", "base",
+]);
+
+/**
+ * Các thuộc tính chứa URL, cần kiểm tra scheme (`srcset` được kiểm tra từng URL trong danh sách)
+ */
+const URL_ATTRIBUTES = new Set(["href", "src", "srcset", "action", "formaction", "poster", "cite", "background", "xlink:href"]);
+
+/**
+ * Bộ lọc HTML theo danh sách cho phép (allowlist), dùng trước khi chèn chuỗi HTML không tin cậy vào trang
+ * - Luôn gỡ thẻ `script`, `style`, `iframe`, ..., các thuộc tính sự kiện (`onclick`, ...), comment và URL có scheme
+ * không được phép (`javascript:`, `data:`, ...)
+ * - Liên kết có `target` được thêm `rel="noopener noreferrer"`
+ */
+export default class HtmlSanitizer {
+    /**
+     * Các thẻ được giữ lại mặc định
+     * @type {string[]}
+     */
+    static DEFAULT_TAGS = [
+        "a", "abbr", "b", "blockquote", "br", "caption", "cite", "code", "dd", "del", "div", "dl", "dt", "em",
+        "figcaption", "figure", "h1", "h2", "h3", "h4", "h5", "h6", "hr", "i", "img", "ins", "kbd", "li", "mark",
+        "ol", "p", "pre", "q", "s", "small", "span", "strong", "sub", "sup", "table", "tbody", "td", "tfoot",
+        "th", "thead", "time", "tr", "u", "ul",
+    ];
+
+    /**
+     * Các thuộc tính được giữ lại mặc định
+     * @type {Record<string, string[]>}
+     */
+    static DEFAULT_ATTRIBUTES = {
+        "*": ["class", "id", "title", "lang", "dir", "role", "aria-*", "data-*"],
+        a: ["href", "target", "rel"],
+        img: ["src", "alt", "width", "height", "loading"],
+        td: ["colspan", "rowspan"],
+        th: ["colspan", "rowspan", "scope"],
+        ol: ["start", "reversed"],
+        time: ["datetime"],
+        blockquote: ["cite"],
+        q: ["cite"],
+    };
+
+    /**
+     * Các scheme URL được chấp nhận mặc định
+     * @type {string[]}
+     */
+    static DEFAULT_SCHEMES = ["http", "https", "mailto", "tel"];
+
+    /**
+     * @private
+     * @type {Set<string>}
+     */
+    _allowedTags;
+
+    /**
+     * @private
+     * @type {Record<string, string[]>}
+     */
+    _allowedAttributes;
+
+    /**
+     * @private
+     * @type {Set<string>}
+     */
+    _allowedSchemes;
+
+    /**
+     * @param {SanitizerOptions} [options]
+     */
+    constructor({
+        allowedTags = HtmlSanitizer.DEFAULT_TAGS,
+        allowedAttributes = HtmlSanitizer.DEFAULT_ATTRIBUTES,
+        allowedSchemes = HtmlSanitizer.DEFAULT_SCHEMES,
+    } = {}) {
+        if (!Array.isArray(allowedTags) || !Array.isArray(allowedSchemes)) {
+            throw new Error("HtmlSanitizer error: 'allowedTags' và 'allowedSchemes' phải là mảng chuỗi.");
+        }
+        if (allowedAttributes === null || typeof allowedAttributes !== "object") {
+            throw new Error("HtmlSanitizer error: 'allowedAttributes' phải là object với giá trị là mảng tên thuộc tính.");
+        }
+
+        this._allowedTags = new Set(allowedTags.map(tag => tag.toLowerCase()));
+        this._allowedAttributes = allowedAttributes;
+        this._allowedSchemes = new Set(allowedSchemes.map(scheme => scheme.toLowerCase()));
+    }
+
+    /**
+     * Phân tích chuỗi HTML và lọc theo danh sách cho phép
+     * - Chuỗi được phân tích bên trong `<template>` nên script không chạy và ảnh hưởng không được tải trong lúc lọc
+     * @param {string} html
+     * @param {Document} [ownerDocument] - Document dùng để phân tích, mặc định là `document` của trình duyệt
+     * (truyền vào khi làm việc với document khác như iframe hoặc jsdom)
+     * @returns {DocumentFragment}
+     */
+    sanitize(html, ownerDocument = globalThis.document) {
+        if (!ownerDocument) {
+            throw new Error("HtmlSanitizer error: Không có document để phân tích chuỗi HTML, hãy truyền 'ownerDocument'.");
+        }
+        const template = ownerDocument.createElement("template");
+        template.innerHTML = String(html);
+        this._sanitizeChildren(template.content);
+        return template.content;
+    }
+
+    /**
+     * Lọc chuỗi HTML và trả về chuỗi HTML đã được lọc
+     * @param {string} html
+     * @param {Document} [ownerDocument] - Xem `sanitize`
+     * @returns {string}
+     */
+    sanitizeToString(html, ownerDocument = globalThis.document) {
+        const fragment = this.sanitize(html, ownerDocument);
+        const container = ownerDocument.createElement("div");
+        container.append(fragment);
+        return container.innerHTML;
+    }
+
+    /**
+     * @private
+     * @param {ParentNode} parent
+     */
+    _sanitizeChildren(parent) {
+        [...parent.childNodes].forEach(node => {
+            if (node.nodeType === node.TEXT_NODE) return;
+            if (node.nodeType !== node.ELEMENT_NODE) {
+                node.remove();
+                return;
+            }
+
+            const element = /** @type {Element} */ (node);
+            const tagName = element.localName;
+            if (DROPPED_TAGS.has(tagName)) {
+                element.remove();
+                return;
+            }
+
+            this._sanitizeChildren(element);
+            if (!this._allowedTags.has(tagName)) {
+                element.replaceWith(...element.childNodes);
+                return;
+            }
+
+            [...element.attributes].forEach(({ name, value }) => {
+                if (!this._isAllowedAttribute(tagName, name, value)) element.removeAttribute(name);
+            });
+            if (tagName === "a" && element.hasAttribute("target")) {
+                element.setAttribute("rel", "noopener noreferrer");
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @param {string} tagName
+     * @param {string} name
+     * @param {string} value
+     * @returns {boolean}
+     */
+    _isAllowedAttribute(tagName, name, value) {
+        if (name.startsWith("on")) return false;
+
+        const allowed = [...(this._allowedAttributes["*"] ?? []), ...(this._allowedAttributes[tagName] ?? [])];
+        const matched = allowed.some(pattern =>
+            pattern.endsWith("*") ? name.startsWith(pattern.slice(0, -1)) : name === pattern
+        );
+        if (!matched) return false;
+
+        if (name === "srcset") {
+            // Mỗi phần của `srcset` là một URL kèm mô tả tùy chọn (`2x`, `640w`); URL có dấu phẩy bị tách thành nhiều phần
+            // nhưng phần đầu của URL vẫn được kiểm tra nên không thể giấu scheme
+            return value.split(",").every(candidate => this._isAllowedUrl(candidate.trim()));
+        }
+        return !URL_ATTRIBUTES.has(name) || this._isAllowedUrl(value);
+    }
+
+    /**
+     * @private
+     * @param {string} url
+     * @returns {boolean}
+     */
+    _isAllowedUrl(url) {
+        // Trình duyệt bỏ qua ký tự điều khiển và khoảng trắng trong scheme, ví dụ "java\tscript:"
+        const normalized = url.replace(/[\u0000- \u007f-\u009f]/g, "");
+        const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(normalized)?.[1];
+        return !scheme || this._allowedSchemes.has(scheme.toLowerCase());
+    }
+}
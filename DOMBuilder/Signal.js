@@ -0,0 +1,223 @@
+/**
+ * @template T
+ * - Giá trị phản ứng (reactive) dùng với `DOMBuilder`: `setText`, `attributes`, `classes`, `applyStyle`, `source`, `src`
+ * nhận `Signal` và tự cập nhật element khi giá trị thay đổi
+ * ```js
+ * const count = new Signal(0);
+ * DOMBuilder.create("span").setText(count.map(value => `Đã chọn ${value} mục`));
+ * count.value++;
+ * ```
+ * - Thông báo được gộp theo microtask: gán nhiều lần trong cùng một tác vụ chỉ cập nhật DOM một lần với giá trị cuối cùng
+ * - Giá trị được so sánh bằng `Object.is`, thay đổi bên trong object/mảng cần gán object/mảng mới (hoặc dùng `update`)
+ */
+export default class Signal {
+    /**
+     * @protected
+     * @type {T}
+     */
+    _value;
+
+    /**
+     * @protected
+     * @type {Set<(value: T) => void>}
+     */
+    _subscribers = new Set();
+
+    /**
+     * @private
+     * @type {boolean}
+     * - Đã lên lịch thông báo ở microtask tiếp theo hay chưa
+     */
+    _scheduled = false;
+
+    /**
+     * @private
+     * @type {T}
+     * - Giá trị ở lần thông báo gần nhất, dùng để bỏ qua thông báo khi giá trị được gán lại như cũ trong cùng tác vụ
+     */
+    _notifiedValue;
+
+    /**
+     * @param {T} value - Giá trị ban đầu
+     */
+    constructor(value) {
+        this._value = value;
+        this._notifiedValue = value;
+    }
+
+    /**
+     * Giá trị hiện tại
+     * @returns {T}
+     */
+    get value() {
+        return this._value;
+    }
+
+    /**
+     * @param {T} value
+     */
+    set value(value) {
+        if (Object.is(value, this._value)) return;
+        this._value = value;
+        this._schedule();
+    }
+
+    /**
+     * Gán giá trị mới tính từ giá trị hiện tại, ví dụ `todos.update(list => [...list, todo])`
+     * @param {(value: T) => T} updater
+     */
+    update(updater) {
+        this.value = updater(this.value);
+    }
+
+    /**
+     * Đăng ký hàm được gọi (ở microtask) mỗi khi giá trị thay đổi
+     * @param {(value: T) => void} subscriber
+     * @returns {() => void} - Hàm hủy đăng ký
+     */
+    subscribe(subscriber) {
+        if (typeof subscriber !== "function") {
+            throw new Error("Signal error: Tham số truyền vào 'subscribe' phải là một hàm.");
+        }
+        this._subscribers.add(subscriber);
+        return () => this._subscribers.delete(subscriber);
+    }
+
+    /**
+     * Tạo signal dẫn xuất từ signal hiện tại, ví dụ chọn một phần của store: `store.map(state => state.user.name)`
+     * @template R
+     * @param {(value: T) => R} mapper
+     * @returns {Signal<R>}
+     */
+    map(mapper) {
+        return Signal.computed([this], mapper);
+    }
+
+    /**
+     * Tạo signal có giá trị tính từ nhiều signal khác
+     * ```js
+     * const total = Signal.computed([price, quantity], (price, quantity) => price * quantity);
+     * ```
+     * - Signal dẫn xuất chỉ theo dõi các signal nguồn khi chính nó có người đăng ký, nên không giữ tham chiếu
+     * tới element đã dispose
+     * @template R
+     * @param {Signal<any>[]} sources
+     * @param {(...values: any[]) => R} compute
+     * @returns {Signal<R>}
+     */
+    static computed(sources, compute) {
+        if (!Array.isArray(sources) || sources.some(source => !(source instanceof Signal))) {
+            throw new Error("Signal error: 'sources' truyền vào 'computed' phải là mảng Signal.");
+        }
+        if (typeof compute !== "function") {
+            throw new Error("Signal error: 'compute' truyền vào 'computed' phải là một hàm.");
+        }
+        return new ComputedSignal(sources, compute);
+    }
+
+    /**
+     * @protected
+     */
+    _schedule() {
+        if (this._scheduled) return;
+        this._scheduled = true;
+
+        queueMicrotask(() => {
+            this._scheduled = false;
+            const value = this.value;
+            if (Object.is(value, this._notifiedValue)) return;
+
+            this._notifiedValue = value;
+            // Lỗi của một subscriber không chặn các subscriber còn lại, lỗi được ném lại ở microtask riêng để vẫn hiện trên console
+            [...this._subscribers].forEach(subscriber => {
+                try {
+                    subscriber(value);
+                } catch (error) {
+                    queueMicrotask(() => {
+                        throw error;
+                    });
+                }
+            });
+        });
+    }
+}
+
+/**
+ * @template R
+ * @extends Signal<R>
+ */
+class ComputedSignal extends Signal {
+    /**
+     * @private
+     * @type {Signal<any>[]}
+     */
+    _sources;
+
+    /**
+     * @private
+     * @type {(...values: any[]) => R}
+     */
+    _compute;
+
+    /**
+     * @private
+     * @type {(() => void)[]}
+     * - Các hàm hủy đăng ký với signal nguồn, rỗng khi signal dẫn xuất không có người đăng ký
+     */
+    _unsubscribes = [];
+
+    /**
+     * @param {Signal<any>[]} sources
+     * @param {(...values: any[]) => R} compute
+     */
+    constructor(sources, compute) {
+        super(compute(...sources.map(source => source.value)));
+        this._sources = sources;
+        this._compute = compute;
+    }
+
+    /**
+     * Khi không có người đăng ký, giá trị được tính lại mỗi lần đọc để luôn khớp với signal nguồn
+     * @returns {R}
+     */
+    get value() {
+        if (!this._unsubscribes.length) this._value = this._compute(...this._sources.map(source => source.value));
+        return this._value;
+    }
+
+    set value(_) {
+        throw new Error("Signal error: Không thể gán giá trị cho signal dẫn xuất.");
+    }
+
+    /**
+     * @param {(value: R) => void} subscriber
+     * @returns {() => void}
+     */
+    subscribe(subscriber) {
+        if (typeof subscriber !== "function") {
+            throw new Error("Signal error: Tham số truyền vào 'subscribe' phải là một hàm.");
+        }
+        if (!this._unsubscribes.length) {
+            this._notifiedValue = this.value;
+            this._unsubscribes = this._sources.map(source => source.subscribe(() => this._recompute()));
+        }
+
+        const unsubscribe = super.subscribe(subscriber);
+        return () => {
+            unsubscribe();
+            if (this._subscribers.size) return;
+            this._unsubscribes.forEach(release => release());
+            this._unsubscribes = [];
+        };
+    }
+
+    /**
+     * @private
+     */
+    _recompute() {
+        const value = this._compute(...this._sources.map(source => source.value));
+        if (Object.is(value, this._value)) return;
+        this._value = value;
+        this._schedule();
+    }
+}
@@ -0,0 +1,867 @@
+const HTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+
+/**
+ * Các thẻ HTML không có thẻ đóng và không có phần tử con
+ */
+const VOID_TAGS = new Set([
+    "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "source", "track", "wbr",
+]);
+
+/**
+ * Các thẻ HTML có nội dung text thô, không escape khi serialize (giống `outerHTML` của trình duyệt)
+ * - Nội dung chứa thẻ đóng của chính thẻ đó (ví dụ `</script`) bị từ chối vì sẽ thoát ra khỏi thẻ khi trình duyệt phân tích
+ */
+const RAW_TEXT_TAGS = new Set(["script", "style", "xmp", "iframe", "noembed", "noframes", "plaintext"]);
+
+/**
+ * Các thẻ thuộc `elements` của form
+ */
+const FORM_CONTROL_TAGS = new Set(["button", "fieldset", "input", "object", "output", "select", "textarea"]);
+
+/**
+ * Thuộc tính JS được phản chiếu sang thuộc tính HTML dạng chuỗi
+ */
+const REFLECTED_PROPERTIES = {
+    id: "id", className: "class", title: "title", lang: "lang", dir: "dir",
+    href: "href", target: "target", rel: "rel", download: "download",
+    src: "src", srcset: "srcset", sizes: "sizes", alt: "alt", width: "width", height: "height",
+    loading: "loading", decoding: "decoding", crossOrigin: "crossorigin", referrerPolicy: "referrerpolicy",
+    name: "name", placeholder: "placeholder", rows: "rows", cols: "cols",
+    min: "min", max: "max", step: "step", pattern: "pattern", minLength: "minlength", maxLength: "maxlength",
+    action: "action", method: "method", enctype: "enctype", htmlFor: "for", label: "label", defaultValue: "value",
+    allow: "allow", media: "media", poster: "poster", preload: "preload", kind: "kind", srclang: "srclang",
+    tabIndex: "tabindex", colSpan: "colspan", rowSpan: "rowspan", scope: "scope",
+};
+
+/**
+ * Thuộc tính JS được phản chiếu sang thuộc tính HTML dạng boolean (có mặt hoặc không)
+ * - `checked`, `selected` cũng được phản chiếu để trạng thái được giữ lại trong HTML render trên server
+ */
+const BOOLEAN_PROPERTIES = {
+    disabled: "disabled", required: "required", multiple: "multiple", hidden: "hidden", readOnly: "readonly",
+    noValidate: "novalidate", autoplay: "autoplay", controls: "controls", loop: "loop", muted: "muted",
+    playsInline: "playsinline", open: "open", reversed: "reversed", default: "default",
+    checked: "checked", defaultChecked: "checked", selected: "selected", defaultSelected: "selected",
+};
+
+/**
+ * - DOM tối giản không cần trình duyệt, được `DOMBuilder` dùng khi không có `document` (ví dụ khi render trên Node.js)
+ * - Chỉ hỗ trợ phần API mà các builder sử dụng: tạo element, thuộc tính, class, style, text và cây phần tử con;
+ * không có sự kiện (listener được nhận nhưng không bao giờ chạy), layout hay bộ phân tích chuỗi HTML
+ * - Kết quả được lấy ra bằng `outerHTML` / `innerHTML` với text và giá trị thuộc tính đã được escape
+ */
+export default class VirtualDocument {
+    /**
+     * Đường dẫn gốc để kiểm tra đường dẫn tương đối (ví dụ trong `source` của media)
+     * @type {string}
+     */
+    baseURI;
+
+    /**
+     * @param {{ baseURI?: string }} [options]
+     */
+    constructor({ baseURI = "http://localhost/" } = {}) {
+        this.baseURI = baseURI;
+    }
+
+    /**
+     * @param {string} tagName
+     * @returns {VirtualElement}
+     */
+    createElement(tagName) {
+        return new VirtualElement(this, validateName(tagName).toLowerCase(), HTML_NAMESPACE);
+    }
+
+    /**
+     * @param {string | null} namespace
+     * @param {string} qualifiedName
+     * @returns {VirtualElement}
+     */
+    createElementNS(namespace, qualifiedName) {
+        return new VirtualElement(this, validateName(qualifiedName), namespace);
+    }
+
+    /**
+     * @param {string} data
+     * @returns {VirtualText}
+     */
+    createTextNode(data) {
+        return new VirtualText(this, String(data));
+    }
+
+    /**
+     * @returns {VirtualFragment}
+     */
+    createDocumentFragment() {
+        return new VirtualFragment(this);
+    }
+
+    /**
+     * Tạo node chứa chuỗi HTML được serialize nguyên bản (thay cho việc phân tích HTML)
+     * @param {string} html
+     * @returns {VirtualRawHtml}
+     */
+    createRawHtml(html) {
+        return new VirtualRawHtml(this, String(html));
+    }
+
+    /**
+     * @template {VirtualNode} N
+     * @param {N} node
+     * @param {boolean} [deep]
+     * @returns {N}
+     */
+    importNode(node, deep = false) {
+        return node.cloneNode(deep);
+    }
+}
+
+/**
+ * Node cơ sở, quản lý cây phần tử con
+ */
+class VirtualNode {
+    /**
+     * @readonly
+     * @type {VirtualDocument}
+     */
+    ownerDocument;
+
+    /**
+     * @type {VirtualNode | null}
+     */
+    parentNode = null;
+
+    /**
+     * @type {VirtualNode[]}
+     */
+    childNodes = [];
+
+    /**
+     * @param {VirtualDocument} ownerDocument
+     */
+    constructor(ownerDocument) {
+        this.ownerDocument = ownerDocument;
+    }
+
+    /**
+     * @returns {number}
+     */
+    get nodeType() {
+        return 0;
+    }
+
+    /**
+     * Node ảo không bao giờ nằm trong document thật
+     * @returns {boolean}
+     */
+    get isConnected() {
+        return false;
+    }
+
+    /**
+     * @returns {VirtualElement[]}
+     */
+    get children() {
+        return /** @type {VirtualElement[]} */ (this.childNodes.filter(node => node.nodeType === 1));
+    }
+
+    get firstChild() {
+        return this.childNodes[0] ?? null;
+    }
+
+    get lastChild() {
+        return this.childNodes[this.childNodes.length - 1] ?? null;
+    }
+
+    get nextSibling() {
+        if (!this.parentNode) return null;
+        const siblings = this.parentNode.childNodes;
+        return siblings[siblings.indexOf(this) + 1] ?? null;
+    }
+
+    get firstElementChild() {
+        return this.children[0] ?? null;
+    }
+
+    /**
+     * @returns {string}
+     */
+    get textContent() {
+        return this.childNodes.map(node => node.textContent).join("");
+    }
+
+    set textContent(value) {
+        const text = value === null || value === undefined ? "" : String(value);
+        this.replaceChildren(...(text ? [text] : []));
+    }
+
+    /**
+     * @returns {string}
+     */
+    get innerHTML() {
+        return this.childNodes.map(node => serialize(node, this)).join("");
+    }
+
+    /**
+     * @param {...(VirtualNode | string)} nodes
+     */
+    append(...nodes) {
+        this._insert(nodes, this.childNodes.length);
+    }
+
+    /**
+     * @param {...(VirtualNode | string)} nodes
+     */
+    replaceChildren(...nodes) {
+        const inserted = this._normalize(nodes);
+        this.childNodes.forEach(node => node.parentNode = null);
+        this.childNodes = [];
+        this._insert(inserted, 0);
+    }
+
+    /**
+     * @template {VirtualNode} N
+     * @param {N} node
+     * @returns {N}
+     */
+    appendChild(node) {
+        this.append(node);
+        return node;
+    }
+
+    /**
+     * @template {VirtualNode} N
+     * @param {N} node
+     * @param {VirtualNode | null} reference
+     * @returns {N}
+     */
+    insertBefore(node, reference) {
+        if (reference === null) return this.appendChild(node);
+        if (reference.parentNode !== this) {
+            throw new Error("VirtualDocument error: Node tham chiếu của 'insertBefore' không phải phần tử con của node hiện tại.");
+        }
+        const nodes = this._normalize([node]);
+        this._insert(nodes, this.childNodes.indexOf(reference));
+        return node;
+    }
+
+    remove() {
+        if (!this.parentNode) return;
+        const siblings = this.parentNode.childNodes;
+        siblings.splice(siblings.indexOf(this), 1);
+        this.parentNode = null;
+    }
+
+    /**
+     * @param {VirtualNode | null} node
+     * @returns {boolean}
+     */
+    contains(node) {
+        for (let current = node; current; current = current.parentNode) {
+            if (current === this) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Chỉ hỗ trợ selector `*` hoặc tên thẻ
+     * @param {string} selector
+     * @returns {VirtualElement[]}
+     */
+    querySelectorAll(selector) {
+        const tagName = selector.trim().toLowerCase();
+        if (tagName !== "*" && !/^[a-z][a-z0-9-]*$/.test(tagName)) {
+            throw new Error(`VirtualDocument error: Selector '${selector}' không được hỗ trợ, chỉ chấp nhận '*' hoặc tên thẻ.`);
+        }
+
+        const result = [];
+        const visit = node => node.children.forEach(child => {
+            if (tagName === "*" || child.localName.toLowerCase() === tagName) result.push(child);
+            visit(child);
+        });
+        visit(this);
+        return result;
+    }
+
+    /**
+     * @param {string} selector
+     * @returns {VirtualElement | null}
+     */
+    querySelector(selector) {
+        return this.querySelectorAll(selector)[0] ?? null;
+    }
+
+    /**
+     * @param {boolean} [deep]
+     * @returns {VirtualNode}
+     */
+    cloneNode(deep = false) {
+        const clone = this._cloneSelf();
+        if (deep) clone.append(...this.childNodes.map(node => node.cloneNode(true)));
+        return clone;
+    }
+
+    /**
+     * @protected
+     * @returns {VirtualNode}
+     */
+    _cloneSelf() {
+        return new VirtualNode(this.ownerDocument);
+    }
+
+    /**
+     * Chuyển chuỗi thành text node, fragment thành các node con của nó và gỡ node khỏi cha cũ
+     * @private
+     * @param {(VirtualNode | string)[]} nodes
+     * @returns {VirtualNode[]}
+     */
+    _normalize(nodes) {
+        return nodes.flatMap(node => {
+            if (typeof node === "string") return [new VirtualText(this.ownerDocument, node)];
+            if (!(node instanceof VirtualNode)) {
+                throw new Error("VirtualDocument error: Chỉ có thể thêm chuỗi hoặc node được tạo bởi VirtualDocument.");
+            }
+            if (node.contains(this)) {
+                throw new Error("VirtualDocument error: Không thể thêm một node vào chính nó hoặc node con của nó.");
+            }
+            if (node instanceof VirtualFragment) {
+                const children = [...node.childNodes];
+                node.replaceChildren();
+                return children;
+            }
+            node.remove();
+            return [node];
+        });
+    }
+
+    /**
+     * @private
+     * @param {(VirtualNode | string)[]} nodes
+     * @param {number} index
+     */
+    _insert(nodes, index) {
+        const inserted = nodes.every(node => node instanceof VirtualNode && !node.parentNode && !(node instanceof VirtualFragment))
+            ? /** @type {VirtualNode[]} */ (nodes)
+            : this._normalize(nodes);
+        inserted.forEach(node => node.parentNode = this);
+        this.childNodes.splice(index, 0, ...inserted);
+    }
+}
+
+class VirtualText extends VirtualNode {
+    /**
+     * @type {string}
+     */
+    data;
+
+    /**
+     * @param {VirtualDocument} ownerDocument
+     * @param {string} data
+     */
+    constructor(ownerDocument, data) {
+        super(ownerDocument);
+        this.data = data;
+    }
+
+    get nodeType() {
+        return 3;
+    }
+
+    get textContent() {
+        return this.data;
+    }
+
+    set textContent(value) {
+        this.data = String(value ?? "");
+    }
+
+    _cloneSelf() {
+        return new VirtualText(this.ownerDocument, this.data);
+    }
+}
+
+/**
+ * Chuỗi HTML đáng tin cậy, được serialize nguyên bản
+ */
+class VirtualRawHtml extends VirtualNode {
+    /**
+     * @type {string}
+     */
+    html;
+
+    /**
+     * @param {VirtualDocument} ownerDocument
+     * @param {string} html
+     */
+    constructor(ownerDocument, html) {
+        super(ownerDocument);
+        this.html = html;
+    }
+
+    get nodeType() {
+        return 3;
+    }
+
+    get textContent() {
+        return "";
+    }
+
+    _cloneSelf() {
+        return new VirtualRawHtml(this.ownerDocument, this.html);
+    }
+}
+
+class VirtualFragment extends VirtualNode {
+    get nodeType() {
+        return 11;
+    }
+
+    _cloneSelf() {
+        return new VirtualFragment(this.ownerDocument);
+    }
+}
+
+class VirtualElement extends VirtualNode {
+    /**
+     * @readonly
+     * @type {string}
+     */
+    localName;
+
+    /**
+     * @readonly
+     * @type {string | null}
+     */
+    namespaceURI;
+
+    /**
+     * @private
+     * @type {Map<string, string>}
+     */
+    _attributes = new Map();
+
+    /**
+     * @private
+     * @type {Map<string, string>}
+     * - Các thuộc tính CSS, được đồng bộ sang thuộc tính `style`
+     */
+    _styles = new Map();
+
+    /**
+     * @private
+     * @type {VirtualFragment | null}
+     */
+    _content = null;
+
+    /**
+     * @type {Record<string, string>}
+     */
+    style;
+
+    /**
+     * @type {VirtualTokenList}
+     */
+    classList;
+
+    /**
+     * @param {VirtualDocument} ownerDocument
+     * @param {string} localName
+     * @param {string | null} namespaceURI
+     */
+    constructor(ownerDocument, localName, namespaceURI) {
+        super(ownerDocument);
+        this.localName = localName;
+        this.namespaceURI = namespaceURI;
+        this.classList = new VirtualTokenList(this, "class");
+        this.style = new Proxy({}, {
+            get: (_, property) => typeof property === "string" ? this._styles.get(toCssName(property)) ?? "" : undefined,
+            set: (_, property, value) => {
+                if (typeof property !== "string") return false;
+                const name = toCssName(property);
+                if (value === null || value === undefined || value === "") this._styles.delete(name);
+                else this._styles.set(name, String(value));
+                this._syncStyleAttribute();
+                return true;
+            },
+            ownKeys: () => [...this._styles.keys()],
+            getOwnPropertyDescriptor: (_, property) => this._styles.has(/** @type {string} */ (property))
+                ? { value: this._styles.get(/** @type {string} */ (property)), enumerable: true, configurable: true }
+                : undefined,
+        });
+    }
+
+    get nodeType() {
+        return 1;
+    }
+
+    get tagName() {
+        return this.namespaceURI === HTML_NAMESPACE ? this.localName.toUpperCase() : this.localName;
+    }
+
+    /**
+     * Nội dung của thẻ `template`
+     * @returns {VirtualFragment | undefined}
+     */
+    get content() {
+        if (this.localName !== "template") return undefined;
+        return this._content ??= new VirtualFragment(this.ownerDocument);
+    }
+
+    /**
+     * @returns {{ name: string, value: string }[]}
+     */
+    get attributes() {
+        return [...this._attributes].map(([name, value]) => ({ name, value }));
+    }
+
+    /**
+     * Loại phần tử như trình duyệt: với `select` là `select-one` / `select-multiple`, với `textarea` là `textarea`,
+     * với `input` mặc định là `text`, các thẻ khác phản chiếu thuộc tính `type`
+     * @returns {string}
+     */
+    get type() {
+        switch (this.localName) {
+            case "select":
+                return this.hasAttribute("multiple") ? "select-multiple" : "select-one";
+            case "textarea":
+                return "textarea";
+            case "input":
+                return this.getAttribute("type")?.toLowerCase() || "text";
+            case "button":
+                return this.getAttribute("type")?.toLowerCase() || "submit";
+            default:
+                return this.getAttribute("type") ?? "";
+        }
+    }
+
+    /**
+     * @param {string} value
+     */
+    set type(value) {
+        this.setAttribute("type", value);
+    }
+
+    /**
+     * Các trường của form theo thứ tự trong cây (không gồm trường nằm ngoài form gắn qua thuộc tính `form`), chỉ có ở `form`
+     * @returns {VirtualElement[] | undefined}
+     */
+    get elements() {
+        if (this.localName !== "form") return undefined;
+        return this.querySelectorAll("*").filter(element => FORM_CONTROL_TAGS.has(element.localName));
+    }
+
+    /**
+     * Các lựa chọn của `select`
+     * @returns {VirtualElement[] | undefined}
+     */
+    get options() {
+        if (this.localName !== "select") return undefined;
+        return this.querySelectorAll("option");
+    }
+
+    /**
+     * Giá trị hiện tại, với `textarea` là nội dung text, với `select` là lựa chọn đầu tiên được chọn
+     * @returns {string}
+     */
+    get value() {
+        if (this.localName === "textarea") return this.textContent;
+        if (this.localName === "select") {
+            const options = this.querySelectorAll("option");
+            const option = options.find(option => option.hasAttribute("selected")) ?? options[0];
+            return option ? option.value : "";
+        }
+        if (this.localName === "option" && !this.hasAttribute("value")) return this.textContent;
+        return this.getAttribute("value") ?? "";
+    }
+
+    set value(value) {
+        const text = value === null || value === undefined ? "" : String(value);
+        if (this.localName === "textarea") {
+            this.textContent = text;
+        } else if (this.localName === "select") {
+            this.querySelectorAll("option").forEach(option => option.selected = option.value === text);
+        } else {
+            this.setAttribute("value", text);
+        }
+    }
+
+    /**
+     * @returns {string}
+     */
+    get outerHTML() {
+        return serialize(this, null);
+    }
+
+    get innerHTML() {
+        return (this._content ? this._content.innerHTML : "") + super.innerHTML;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string | null}
+     */
+    getAttribute(name) {
+        return this._attributes.get(this._attributeName(name)) ?? null;
+    }
+
+    /**
+     * @param {string} name
+     * @param {any} value
+     */
+    setAttribute(name, value) {
+        const attribute = this._attributeName(validateName(name));
+        this._attributes.set(attribute, String(value));
+        if (attribute === "style") this._parseStyleAttribute();
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    hasAttribute(name) {
+        return this._attributes.has(this._attributeName(name));
+    }
+
+    /**
+     * @param {string} name
+     */
+    removeAttribute(name) {
+        const attribute = this._attributeName(name);
+        this._attributes.delete(attribute);
+        if (attribute === "style") this._styles.clear();
+    }
+
+    /**
+     * Sự kiện không bao giờ được phát trong DOM ảo, listener được bỏ qua
+     */
+    addEventListener() {}
+
+    removeEventListener() {}
+
+    _cloneSelf() {
+        const clone = new VirtualElement(this.ownerDocument, this.localName, this.namespaceURI);
+        this._attributes.forEach((value, name) => clone.setAttribute(name, value));
+        if (this._content) clone.content.append(...this._content.childNodes.map(node => node.cloneNode(true)));
+        return clone;
+    }
+
+    /**
+     * Tên thuộc tính của element HTML không phân biệt hoa thường, của SVG/MathML thì giữ nguyên (ví dụ `viewBox`)
+     * @private
+     * @param {string} name
+     * @returns {string}
+     */
+    _attributeName(name) {
+        return this.namespaceURI === HTML_NAMESPACE ? name.toLowerCase() : name;
+    }
+
+    /**
+     * @private
+     */
+    _syncStyleAttribute() {
+        if (!this._styles.size) {
+            this._attributes.delete("style");
+            return;
+        }
+        this._attributes.set("style", [...this._styles].map(([name, value]) => `${name}: ${value};`).join(" "));
+    }
+
+    /**
+     * @private
+     */
+    _parseStyleAttribute() {
+        this._styles.clear();
+        this._attributes.get("style").split(";").forEach(declaration => {
+            const separator = declaration.indexOf(":");
+            if (separator < 0) return;
+            const name = declaration.slice(0, separator).trim();
+            const value = declaration.slice(separator + 1).trim();
+            if (name && value) this._styles.set(name, value);
+        });
+    }
+}
+
+for (const [property, attribute] of Object.entries(REFLECTED_PROPERTIES)) {
+    Object.defineProperty(VirtualElement.prototype, property, {
+        get() {
+            return this.getAttribute(attribute) ?? "";
+        },
+        set(value) {
+            this.setAttribute(attribute, value);
+        },
+        configurable: true,
+    });
+}
+
+for (const [property, attribute] of Object.entries(BOOLEAN_PROPERTIES)) {
+    Object.defineProperty(VirtualElement.prototype, property, {
+        get() {
+            return this.hasAttribute(attribute);
+        },
+        set(value) {
+            if (value) this.setAttribute(attribute, "");
+            else this.removeAttribute(attribute);
+        },
+        configurable: true,
+    });
+}
+
+/**
+ * Danh sách token của một thuộc tính (ví dụ `class`), tương tự `DOMTokenList`
+ */
+class VirtualTokenList {
+    /**
+     * @private
+     * @type {VirtualElement}
+     */
+    _element;
+
+    /**
+     * @private
+     * @type {string}
+     */
+    _attribute;
+
+    /**
+     * @param {VirtualElement} element
+     * @param {string} attribute
+     */
+    constructor(element, attribute) {
+        this._element = element;
+        this._attribute = attribute;
+    }
+
+    get length() {
+        return this._tokens().length;
+    }
+
+    /**
+     * @param {...string} tokens
+     */
+    add(...tokens) {
+        this._write([...new Set([...this._tokens(), ...tokens.map(validateToken)])]);
+    }
+
+    /**
+     * @param {...string} tokens
+     */
+    remove(...tokens) {
+        const removed = new Set(tokens.map(validateToken));
+        this._write(this._tokens().filter(token => !removed.has(token)));
+    }
+
+    /**
+     * @param {string} token
+     * @param {boolean} [force]
+     * @returns {boolean}
+     */
+    toggle(token, force = undefined) {
+        const enabled = force ?? !this.contains(token);
+        if (enabled) this.add(token);
+        else this.remove(token);
+        return enabled;
+    }
+
+    /**
+     * @param {string} token
+     * @returns {boolean}
+     */
+    contains(token) {
+        return this._tokens().includes(token);
+    }
+
+    [Symbol.iterator]() {
+        return this._tokens()[Symbol.iterator]();
+    }
+
+    /**
+     * @private
+     * @returns {string[]}
+     */
+    _tokens() {
+        return (this._element.getAttribute(this._attribute) ?? "").split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * @private
+     * @param {string[]} tokens
+     */
+    _write(tokens) {
+        if (!tokens.length && !this._element.hasAttribute(this._attribute)) return;
+        this._element.setAttribute(this._attribute, tokens.join(" "));
+    }
+}
+
+/**
+ * - Kiểm tra tên thẻ/thuộc tính giống `createElement`/`setAttribute` của trình duyệt, tránh chèn mã qua tên
+ * @param {string} name
+ * @returns {string}
+ */
+function validateName(name) {
+    if (typeof name !== "string" || !/^[^\s"'<>/=\u0000-\u001f\u007f]+$/.test(name)) {
+        throw new Error(`VirtualDocument error: Tên '${name}' không hợp lệ.`);
+    }
+    return name;
+}
+
+/**
+ * @param {string} token
+ * @returns {string}
+ */
+function validateToken(token) {
+    if (!token || /\s/.test(token)) {
+        throw new Error(`VirtualDocument error: Token '${token}' không hợp lệ, không được rỗng hoặc chứa khoảng trắng.`);
+    }
+    return token;
+}
+
+/**
+ * - Chuyển tên thuộc tính của `style` (camelCase) thành tên thuộc tính CSS, ví dụ `backgroundColor` -> `background-color`
+ * @param {string} property
+ * @returns {string}
+ */
+function toCssName(property) {
+    if (property.startsWith("--") || property.includes("-")) return property;
+    if (property === "cssFloat") return "float";
+    const name = property.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`);
+    return /^(webkit|moz|ms)-/.test(name) ? `-${name}` : name;
+}
+
+/**
+ * - Serialize node thành HTML theo quy tắc của `outerHTML`
+ * @param {VirtualNode} node
+ * @param {VirtualNode | null} parent - Cha của node, quyết định text có được escape hay không
+ * @returns {string}
+ */
+function serialize(node, parent) {
+    if (node instanceof VirtualRawHtml) return node.html;
+    if (node instanceof VirtualText) {
+        const rawText = parent instanceof VirtualElement && parent.namespaceURI === HTML_NAMESPACE && RAW_TEXT_TAGS.has(parent.localName);
+        return rawText ? node.data : node.data.replace(/[&<>\u00a0]/g, escapeChar);
+    }
+    if (!(node instanceof VirtualElement)) return node.innerHTML;
+
+    const attributes = node.attributes
+        .map(({ name, value }) => ` ${name}="${value.replace(/[&"\u00a0]/g, escapeChar)}"`)
+        .join("");
+    const open = `<${node.localName}${attributes}>`;
+    if (node.namespaceURI === HTML_NAMESPACE && VOID_TAGS.has(node.localName)) return open;
+
+    const content = node.innerHTML;
+    if (node.namespaceURI === HTML_NAMESPACE && RAW_TEXT_TAGS.has(node.localName)
+        && content.toLowerCase().includes(`</${node.localName}`)) {
+        throw new Error(
+            `VirtualDocument error: Nội dung của <${node.localName}> chứa '</${node.localName}', ` +
+            `hãy escape trước khi render (ví dụ thay '<' bằng '\\u003c' trong JSON).`
+        );
+    }
+    return `${open}${content}</${node.localName}>`;
+}
+
+/**
+ * @param {string} char
+ * @returns {string}
+ */
+function escapeChar(char) {
+    return { "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "\u00a0": "&nbsp;" }[char];
+}
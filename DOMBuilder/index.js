@@ -1,33 +1,202 @@
+import HtmlSanitizer from "./HtmlSanitizer.js";
+import Signal from "./Signal.js";
+import VirtualDocument from "./VirtualDocument.js";
+
 /**
  * @template {HTMLElement} T
  * @typedef {{
  *   AnchorBuilder: AnchorBuilder,
  *   AudioBuilder: AudioBuilder,
+ *   ButtonBuilder: ButtonBuilder,
+ *   FormBuilder: FormBuilder,
+ *   IFrameBuilder: IFrameBuilder,
  *   ImageBuilder: ImageBuilder,
+ *   InputBuilder: InputBuilder,
+ *   PictureBuilder: PictureBuilder,
+ *   SelectBuilder: SelectBuilder,
+ *   TableBuilder: TableBuilder,
+ *   TemplateBuilder: TemplateBuilder,
+ *   TextAreaBuilder: TextAreaBuilder,
  *   VideoBuilder: VideoBuilder,
  *   default: DOMBuilder<T>
  * }[
  *   T extends HTMLAnchorElement ? 'AnchorBuilder' :
  *   T extends HTMLAudioElement ? 'AudioBuilder' :
+ *   T extends HTMLButtonElement ? 'ButtonBuilder' :
+ *   T extends HTMLFormElement ? 'FormBuilder' :
+ *   T extends HTMLIFrameElement ? 'IFrameBuilder' :
  *   T extends HTMLImageElement ? 'ImageBuilder' :
+ *   T extends HTMLInputElement ? 'InputBuilder' :
+ *   T extends HTMLPictureElement ? 'PictureBuilder' :
+ *   T extends HTMLSelectElement ? 'SelectBuilder' :
+ *   T extends HTMLTableElement ? 'TableBuilder' :
+ *   T extends HTMLTemplateElement ? 'TemplateBuilder' :
+ *   T extends HTMLTextAreaElement ? 'TextAreaBuilder' :
  *   T extends HTMLVideoElement ? 'VideoBuilder' :
  *   'default'
  * ]} Builders
  */
 
-function getBuilders() {
-    return {
-        HTMLAnchorElement: AnchorBuilder,
-        HTMLVideoElement: VideoBuilder,
-        HTMLAudioElement: AudioBuilder,
-        HTMLImageElement: ImageBuilder,
+/**
+ * @typedef {DOMBuilder<any> | Node | string | number | boolean | null | undefined | BuilderChild[]} BuilderChild
+ * - Các giá trị có thể dùng làm phần tử con: builder, node, chuỗi (được thêm dưới dạng text, không phải HTML), số
+ * và mảng lồng nhau của các giá trị trên. `null`, `undefined`, `false`, `true` bị bỏ qua để tiện render có điều kiện
+ */
+
+/**
+ * @typedef {{
+ *   required?: boolean | string | [boolean, string],
+ *   pattern?: RegExp | string | [RegExp | string, string],
+ *   min?: number | Date | string | [number | Date | string, string],
+ *   max?: number | Date | string | [number | Date | string, string],
+ *   minLength?: number | [number, string],
+ *   maxLength?: number | [number, string],
+ *   custom?: ValidationFunction | ValidationFunction[]
+ * }} ValidationRules
+ * - Mỗi quy tắc nhận ràng buộc hoặc `[ràng buộc, thông báo lỗi]`, riêng `required` có thể nhận thẳng thông báo lỗi
+ * - `pattern` phải khớp toàn bộ giá trị giống thuộc tính `pattern` của HTML
+ * - `minLength`, `maxLength` áp dụng cho độ dài chuỗi hoặc số phần tử được chọn (nhóm checkbox, select chọn nhiều)
+ * - `min`, `max` của trường `time` là chuỗi cùng định dạng `HH:mm` với giá trị
+ */
+
+/**
+ * @typedef {{ src: string, type?: string, media?: string }} MediaSourceEntry
+ * - `type`: kiểu MIME, có thể kèm codecs (ví dụ `'video/mp4; codecs="avc1.42E01E"'`), được suy ra từ phần mở rộng nếu bỏ trống
+ */
+
+/**
+ * @typedef {(value: any, values: Record<string, any>) => string | null | undefined} ValidationFunction
+ * - Nhận giá trị đã chuyển kiểu của trường và giá trị của cả form, trả về thông báo lỗi hoặc giá trị rỗng nếu hợp lệ
+ */
+
+const SVG_NAMESPACE = "http://www.w3.org/2000/svg";
+const MATHML_NAMESPACE = "http://www.w3.org/1998/Math/MathML";
+
+/**
+ * Các thẻ chỉ có trong SVG, được tạo trong namespace SVG mà không cần tiền tố `svg:`
+ * (các thẻ trùng tên với HTML như `a`, `title`, `script`, `style` cần tiền tố)
+ */
+const SVG_TAGS = new Set([
+    "svg", "g", "defs", "symbol", "use", "path", "rect", "circle", "ellipse", "line", "polyline", "polygon",
+    "text", "tspan", "textPath", "image", "foreignObject", "marker", "pattern", "mask", "clipPath",
+    "linearGradient", "radialGradient", "stop", "filter", "desc", "metadata", "switch", "view",
+    "animate", "animateMotion", "animateTransform", "set", "mpath",
+    "feBlend", "feColorMatrix", "feComponentTransfer", "feComposite", "feConvolveMatrix", "feDiffuseLighting",
+    "feDisplacementMap", "feDistantLight", "feDropShadow", "feFlood", "feFuncA", "feFuncB", "feFuncG", "feFuncR",
+    "feGaussianBlur", "feImage", "feMerge", "feMergeNode", "feMorphology", "feOffset", "fePointLight",
+    "feSpecularLighting", "feSpotLight", "feTile", "feTurbulence",
+]);
+
+/**
+ * Các thẻ MathML, được tạo trong namespace MathML mà không cần tiền tố `math:`
+ */
+const MATHML_TAGS = new Set([
+    "math", "mi", "mn", "mo", "ms", "mtext", "mspace", "mrow", "mfrac", "msqrt", "mroot", "mstyle", "merror",
+    "mpadded", "mphantom", "msub", "msup", "msubsup", "munder", "mover", "munderover", "mmultiscripts",
+    "mprescripts", "mtable", "mtr", "mtd", "semantics", "annotation", "annotation-xml",
+]);
+
+const HTML_NAMESPACE = "http://www.w3.org/1999/xhtml";
+
+/**
+ * Builder đã đăng ký theo lớp element, được tra theo chuỗi prototype của element
+ * @type {Map<Function, typeof DOMBuilder>}
+ */
+const buildersByClass = new Map();
+
+/**
+ * Builder đã đăng ký theo tên thẻ HTML (chữ thường), được ưu tiên hơn builder đăng ký theo lớp element
+ * @type {Map<string, typeof DOMBuilder>}
+ */
+const buildersByTag = new Map();
+
+/**
+ * Builder có sẵn theo tên thẻ, dùng khi không tìm được builder theo lớp element
+ * (element không phải `HTMLElement` thật như element của `VirtualDocument`, hoặc element của document khác như iframe)
+ * @type {Map<string, typeof DOMBuilder>}
+ */
+const defaultBuildersByTag = new Map();
+
+let defaultBuildersRegistered = false;
+
+/**
+ * Đăng ký các builder có sẵn theo lớp element, chỉ chạy một lần trước lần tra cứu hoặc đăng ký đầu tiên
+ * - Lớp element không tồn tại trong môi trường hiện tại được bỏ qua
+ */
+function registerDefaultBuilders() {
+    if (defaultBuildersRegistered) return;
+    defaultBuildersRegistered = true;
+
+    const defaults = {
+        a: ["HTMLAnchorElement", AnchorBuilder],
+        video: ["HTMLVideoElement", VideoBuilder],
+        audio: ["HTMLAudioElement", AudioBuilder],
+        img: ["HTMLImageElement", ImageBuilder],
+        input: ["HTMLInputElement", InputBuilder],
+        select: ["HTMLSelectElement", SelectBuilder],
+        textarea: ["HTMLTextAreaElement", TextAreaBuilder],
+        button: ["HTMLButtonElement", ButtonBuilder],
+        form: ["HTMLFormElement", FormBuilder],
+        table: ["HTMLTableElement", TableBuilder],
+        iframe: ["HTMLIFrameElement", IFrameBuilder],
+        picture: ["HTMLPictureElement", PictureBuilder],
+        template: ["HTMLTemplateElement", TemplateBuilder],
+    };
+    for (const [tagName, [className, BuilderClass]] of Object.entries(defaults)) {
+        defaultBuildersByTag.set(tagName, BuilderClass);
+        const ElementClass = globalThis[className];
+        if (typeof ElementClass === "function") {
+            buildersByClass.set(ElementClass, BuilderClass);
+        }
+    }
+}
+
+/**
+ * Tìm builder cho element: theo tên thẻ HTML đã đăng ký, theo lớp element dọc chuỗi prototype, cuối cùng là builder có sẵn theo tên thẻ
+ * @param {Element} element
+ * @returns {typeof DOMBuilder}
+ */
+function findBuilder(element) {
+    registerDefaultBuilders();
+
+    if (element.namespaceURI === HTML_NAMESPACE && buildersByTag.has(element.localName)) {
+        return buildersByTag.get(element.localName);
     }
+    for (let prototype = Object.getPrototypeOf(element); prototype; prototype = Object.getPrototypeOf(prototype)) {
+        const BuilderClass = buildersByClass.get(prototype.constructor);
+        if (BuilderClass) return BuilderClass;
+    }
+    return (element.namespaceURI === HTML_NAMESPACE && defaultBuildersByTag.get(element.localName)) || DOMBuilder;
 }
 
 /**
  * @template {HTMLElement} T
  */
 export default class DOMBuilder {
+    /**
+     * @static
+     * - Bộ lọc dùng cho chuỗi HTML truyền vào `setHtml`, `pushHtml`, mặc định `null`: chuỗi HTML được chèn nguyên bản
+     * - Gán `new HtmlSanitizer()` (hoặc `new HtmlSanitizer({ ... })` để đổi danh sách cho phép) khi chuỗi HTML có thể đến từ người dùng,
+     * lưu ý danh sách mặc định gỡ cả thuộc tính `style` và các thẻ như `svg`, `form`, `input`, `video`
+     * @type {HtmlSanitizer | null}
+     */
+    static sanitizer = null;
+
+    /**
+     * @static
+     * - Document dùng để tạo element trong `create`, mặc định là `document` của trình duyệt
+     * - Khi không có `document` (ví dụ trên Node.js), một `VirtualDocument` được dùng để render ra chuỗi HTML bằng `renderToString`
+     * @type {Document | VirtualDocument}
+     */
+    static document = globalThis.document ?? new VirtualDocument();
+
+    /**
+     * @static
+     * - Bật log debug (ví dụ khi `hydrate` phát hiện HTML của server không khớp)
+     * @type {boolean}
+     */
+    static LOG = false;
+
     /**
      * The target element
      * @protected
@@ -53,37 +222,49 @@ export default class DOMBuilder {
 
     /**
      * Đặt thuộc tính class, có thể truyền vào nhiều tên class
-     * @param {...string} classes 
+     * - `Signal` có giá trị là tên class, mảng tên class hoặc giá trị rỗng: class cũ của signal được gỡ khi giá trị thay đổi
+     * @param {...(string | Signal<string | string[] | null | undefined>)} classes 
      */
     classes(...classes) {
-        classes.forEach(className => this._target.classList.add(className));
+        classes.forEach(className => {
+            let previous = [];
+            bindValue(this._target, null, className, (value, target) => {
+                const next = [value ?? []].flat().filter(Boolean);
+                target.classList.remove(...previous);
+                target.classList.add(...next);
+                previous = next;
+            });
+        });
         return this;
     }
 
     /**
      * Thay thế toàn bộ HTML bên trong element
-     * @param {string} htmlString 
+     * - Chuỗi HTML được lọc bằng `DOMBuilder.sanitizer` nếu đã thiết lập, kết quả của `DOMBuilder.html` luôn được chèn nguyên bản
+     * @param {string | SafeHtml} htmlString 
      */
     setHtml(htmlString) {
-        this._target.innerHTML = htmlString;
+        this._target.replaceChildren(parseHtml(htmlString, this._target.ownerDocument));
         return this;
     }
 
     /**
-     * Thêm chuỗi HTML vào element
-     * @param {string} htmlString 
+     * Thêm chuỗi HTML vào cuối element, các phần tử con hiện có (và listener đã gắn trên chúng) được giữ nguyên
+     * - Chuỗi HTML được lọc bằng `DOMBuilder.sanitizer` nếu đã thiết lập, kết quả của `DOMBuilder.html` luôn được chèn nguyên bản
+     * @param {string | SafeHtml} htmlString 
      */
     pushHtml(htmlString) {
-        this._target.innerHTML += htmlString;
+        this._target.append(parseHtml(htmlString, this._target.ownerDocument));
         return this;
     }
 
     /**
      * Thay thế nội dung text trong element
-     * @param {string} textContent 
+     * - Truyền `Signal` để nội dung tự cập nhật theo giá trị của signal
+     * @param {string | Signal<any>} textContent 
      */
     setText(textContent) {
-        this._target.textContent = textContent;
+        bindValue(this._target, "text", textContent, (value, target) => target.textContent = value ?? "");
         return this;
     }
 
@@ -97,33 +278,146 @@ export default class DOMBuilder {
     }
 
     /**
-     * Đặt các thuộc tính cho element
-     * @param {...[key: string, value: string]} keyWithAttributes 
+     * Đặt các thuộc tính cho element, giá trị `null`, `undefined` sẽ gỡ thuộc tính
+     * - Giá trị có thể là `Signal`, thuộc tính tự cập nhật theo giá trị của signal
+     * @param {...[key: string, value: string | Signal<any>]} keyWithAttributes 
      */
     attributes(...keyWithAttributes) {
-        keyWithAttributes.forEach(([key, value]) => this._target.setAttribute(key, value));
+        keyWithAttributes.forEach(([key, value]) => bindValue(this._target, `attr:${key}`, value, (next, target) => {
+            if (next === null || next === undefined) target.removeAttribute(key);
+            else target.setAttribute(key, String(next));
+        }));
+        return this;
+    }
+
+    /**
+     * Thay toàn bộ phần tử con của element
+     * @param {...BuilderChild} children - Builder, node, chuỗi text, số hoặc mảng các giá trị đó
+     */
+    children(...children) {
+        this._target.replaceChildren(...toNodes(children));
+        return this;
+    }
+
+    /**
+     * Thêm phần tử con vào cuối element
+     * @param {...BuilderChild} children - Builder, node, chuỗi text, số hoặc mảng các giá trị đó
+     */
+    append(...children) {
+        this._target.append(...toNodes(children));
         return this;
     }
 
     /**
      * Đặt style cho element, nếu style nào đó đã tồn tại thì ghi đè
-     * @param {CSSStyleDeclaration} style 
+     * - Từng giá trị có thể là `Signal`, hoặc truyền `Signal` của cả object style:
+     * khi đó thuộc tính có ở giá trị cũ nhưng không có ở giá trị mới sẽ bị xóa
+     * @param {Partial<Record<keyof CSSStyleDeclaration, string | Signal<string>>> | Signal<Partial<CSSStyleDeclaration>>} style 
      */
     applyStyle(style) {
+        if (style instanceof Signal) {
+            let previous = {};
+            bindValue(this._target, "style", style, (value, target) => {
+                const next = value ?? {};
+                Object.keys(previous).filter(key => !(key in next)).forEach(key => target.style[key] = "");
+                Object.assign(target.style, next);
+                previous = next;
+            });
+            return this;
+        }
+
         for (const [key, value] of Object.entries(style)) {
-            this._target.style[key] = value;
+            bindValue(this._target, `style:${key}`, value, (next, target) => target.style[key] = next ?? "");
         }
         return this;
     }
 
     /**
+     * Gắn listener cho element, listener được theo dõi để gỡ bằng `off` hoặc `dispose`
+     * - Truyền `selector` để ủy quyền sự kiện (delegation): listener chỉ chạy khi sự kiện xuất phát từ phần tử con khớp `selector`,
+     * `this` và tham số thứ hai là phần tử khớp, phù hợp với phần tử con được thêm sau khi gắn listener
+     * ```js
+     * builder.on("click", ".btn-delete", (event, button) => remove(button.dataset.id));
+     * ```
      * @template {keyof HTMLElementEventMap} K
      * @param {K} event 
-     * @param {(this: T, ev: HTMLElementEventMap[K]) => any} listener 
-     * @param {boolean | AddEventListenerOptions | undefined} options 
+     * @param {string | ((this: T, ev: HTMLElementEventMap[K]) => any)} selectorOrListener - CSS selector để ủy quyền sự kiện, hoặc listener
+     * @param {((this: Element, ev: HTMLElementEventMap[K], matched: Element) => any) | boolean | AddEventListenerOptions} [listenerOrOptions]
+     * @param {boolean | AddEventListenerOptions} [options] - `signal` của người dùng vẫn được hỗ trợ, `once` được xử lý bởi builder
+     */
+    on(event, selectorOrListener, listenerOrOptions = undefined, options = undefined) {
+        addTrackedListener(this._target, event, ...parseListenerArgs(selectorOrListener, listenerOrOptions, options), false);
+        return this;
+    }
+
+    /**
+     * Giống `on` nhưng listener tự gỡ sau lần chạy đầu tiên (với delegation: lần đầu tiên có phần tử con khớp `selector`)
+     * @template {keyof HTMLElementEventMap} K
+     * @param {K} event
+     * @param {string | ((this: T, ev: HTMLElementEventMap[K]) => any)} selectorOrListener
+     * @param {((this: Element, ev: HTMLElementEventMap[K], matched: Element) => any) | boolean | AddEventListenerOptions} [listenerOrOptions]
+     * @param {boolean | AddEventListenerOptions} [options]
+     */
+    once(event, selectorOrListener, listenerOrOptions = undefined, options = undefined) {
+        addTrackedListener(this._target, event, ...parseListenerArgs(selectorOrListener, listenerOrOptions, options), true);
+        return this;
+    }
+
+    /**
+     * Gỡ listener đã gắn bằng `on`/`once`, cần cùng `selector` và `capture` như khi gắn
+     * - Không truyền listener để gỡ mọi listener của sự kiện (và của `selector`, nếu có)
+     * @param {string} event
+     * @param {string | Function} [selectorOrListener]
+     * @param {Function | boolean | EventListenerOptions} [listenerOrOptions]
+     * @param {boolean | EventListenerOptions} [options]
+     */
+    off(event, selectorOrListener = undefined, listenerOrOptions = undefined, options = undefined) {
+        const registry = listenerRegistries.get(this._target);
+        if (!registry) return this;
+
+        const [selector, listener, { capture = false } = {}] = parseListenerArgs(selectorOrListener, listenerOrOptions, options);
+        registry.listeners
+            .filter(entry =>
+                entry.event === event &&
+                (!listener || (entry.listener === listener && entry.capture === !!capture)) &&
+                (selector === null || entry.selector === selector)
+            )
+            .forEach(entry => removeTrackedListener(this._target, entry));
+        return this;
+    }
+
+    /**
+     * Đăng ký hàm dọn dẹp (hủy timer, subscription, ...) được gọi khi `dispose`
+     * @param {() => void} cleanup
+     */
+    onDispose(cleanup) {
+        if (typeof cleanup !== "function") {
+            throw new Error("DOMBuilder error: Tham số truyền vào 'onDispose' phải là một hàm.");
+        }
+        getListenerRegistry(this._target).cleanups.push(cleanup);
+        return this;
+    }
+
+    /**
+     * Gỡ mọi listener đã gắn qua builder, hủy theo dõi các `Signal` và chạy các hàm `onDispose` của element cùng toàn bộ element con
+     * - Element vẫn dùng lại được, listener gắn sau khi `dispose` được theo dõi như bình thường
+     */
+    dispose() {
+        [this._target, ...this._target.querySelectorAll("*")].forEach(disposeElement);
+        return this;
+    }
+
+    /**
+     * Tự động gọi `dispose` khi element bị gỡ khỏi document (ví dụ khi chuyển trang trong SPA)
+     * - Element chỉ được di chuyển sang vị trí khác trong cùng lượt thay đổi DOM không bị dispose
+     * - Không phát hiện được element nằm trong shadow root
+     * - Không có tác dụng khi render không có DOM (`VirtualDocument`), nhờ vậy mã giao diện dùng chung được cho server và trình duyệt
      */
-    on(event, listener, options = undefined) {
-        this._target.addEventListener(event, listener, options);
+    autoDispose() {
+        autoDisposeElements.add(this._target);
+        if (typeof MutationObserver !== "undefined" && !(this._target.ownerDocument instanceof VirtualDocument)) {
+            observeRemovals();
+        }
         return this;
     }
 
@@ -143,6 +437,113 @@ export default class DOMBuilder {
         return this._target;
     }
 
+    /**
+     * Serialize element thành chuỗi HTML (text và giá trị thuộc tính đã được escape), dùng để render trên server
+     * - Listener không được serialize, dùng `DOMBuilder.hydrate` ở trình duyệt để gắn lại
+     * - Text trong `script`, `style` không được escape, báo lỗi nếu chứa thẻ đóng tương ứng (ví dụ JSON chứa `</script>`)
+     * @returns {string}
+     */
+    renderToString() {
+        return this._target.outerHTML;
+    }
+
+    /**
+     * Tạo element mới và trả về builder phù hợp với loại element (`AnchorBuilder` cho `a`, `ImageBuilder` cho `img`, ...)
+     * - Tham số thứ hai là object thuộc tính nếu là object thuần, ngược lại được coi là phần tử con:
+     * ```js
+     * DOMBuilder.create("ul", { class: "menu" },
+     *     items.map(item => DOMBuilder.create("li", DOMBuilder.create("a", { href: item.url }, item.title)))
+     * )
+     * ```
+     * - Thuộc tính có giá trị `true` được đặt rỗng, `false`, `null`, `undefined` bị bỏ qua, `style` có thể là object
+     * - Giá trị thuộc tính (và `style`) có thể là `Signal`, xem `attributes`, `applyStyle`
+     * - Thẻ SVG, MathML được tạo trong đúng namespace, thẻ trùng tên với HTML cần tiền tố, ví dụ `svg:a`, `svg:title`
+     * @template {keyof HTMLElementTagNameMap} K
+     * @param {K | string} tagName - Tên thẻ, có thể kèm tiền tố `svg:` hoặc `math:`
+     * @param {Record<string, any> | BuilderChild} [attributes] - Các thuộc tính của element, hoặc phần tử con đầu tiên
+     * @param {...BuilderChild} children - Các phần tử con
+     * @returns {Builders<HTMLElementTagNameMap[K]>}
+     */
+    static create(tagName, attributes, ...children) {
+        if (typeof tagName !== "string" || !tagName) {
+            throw new Error("DOMBuilder error: 'tagName' truyền vào 'create' phải là một chuỗi hợp lệ.");
+        }
+
+        const [prefix, localName] = tagName.includes(":") ? tagName.split(":", 2) : ["", tagName];
+        const namespace =
+            prefix === "svg" || (!prefix && SVG_TAGS.has(localName)) ? SVG_NAMESPACE :
+            prefix === "math" || (!prefix && MATHML_TAGS.has(localName)) ? MATHML_NAMESPACE :
+            null;
+        if (prefix && !namespace) {
+            throw new Error(`DOMBuilder error: Tiền tố '${prefix}' không được hỗ trợ, chỉ chấp nhận 'svg' hoặc 'math'.`);
+        }
+
+        const document = DOMBuilder.document;
+        const element = namespace ? document.createElementNS(namespace, localName) : document.createElement(localName);
+        const builder = DOMBuilder.fromElement(/** @type {any} */ (element));
+
+        if (isPlainObject(attributes)) {
+            for (const [key, value] of Object.entries(attributes)) {
+                if (value === false || value === null || value === undefined) continue;
+                if (key === "style" && typeof value === "object") builder.applyStyle(value);
+                else if (value instanceof Signal) builder.attributes([key, value]);
+                else element.setAttribute(key, value === true ? "" : String(value));
+            }
+        } else {
+            children.unshift(attributes);
+        }
+
+        return builder.append(...children);
+    }
+
+    /**
+     * Tagged template tạo HTML an toàn: phần chuỗi cố định được giữ nguyên, các giá trị chèn vào được escape
+     * ```js
+     * builder.setHtml(DOMBuilder.html`<b>${user.name}</b> đã bình luận: ${comment}`)
+     * ```
+     * - Giá trị là kết quả của `DOMBuilder.html` khác được chèn nguyên bản, mảng được nối lại, `null`, `undefined`, `false` bị bỏ qua
+     * - Kết quả không bị lọc lại khi truyền vào `setHtml`, `pushHtml`, vì vậy phần chuỗi cố định chỉ nên do lập trình viên viết
+     * @param {TemplateStringsArray} strings
+     * @param {...any} values
+     * @returns {SafeHtml}
+     */
+    static html(strings, ...values) {
+        const html = strings.reduce((result, string, index) =>
+            result + string + (index < values.length ? escapeValue(values[index]) : ""), ""
+        );
+        return new SafeHtml(html);
+    }
+
+    /**
+     * Tiếp quản HTML đã render trên server: element có sẵn trong trang được giữ nguyên (không render lại),
+     * listener, `Signal`, quy tắc kiểm tra và `onDispose` của cây vừa build ở trình duyệt được chuyển sang
+     * ```js
+     * // Dùng chung cho server và trình duyệt
+     * const view = todos => DOMBuilder.create("ul", todos.map(todo =>
+     *     DOMBuilder.create("li", todo.title).on("click", () => toggle(todo.id))
+     * ));
+     * // Server: html = view(todos).renderToString()
+     * // Trình duyệt:
+     * DOMBuilder.hydrate(document.querySelector("#app > ul"), view(todos));
+     * ```
+     * - Element được ghép theo vị trí giữa hai cây, chỉ so sánh tên thẻ và số lượng element con;
+     * phần không khớp được thay bằng phần tương ứng của cây mới (bật `DOMBuilder.LOG` để xem chi tiết)
+     * - Text và thuộc tính không được so sánh, giá trị của `Signal` được áp dụng lại lên element có sẵn
+     * @template {HTMLElement} T
+     * @param {T} element - Element gốc do server render
+     * @param {DOMBuilder<any>} builder - Builder của cây được build ở trình duyệt từ cùng mã giao diện
+     * @returns {Builders<T>} - Builder của element được giữ lại (là element mới nếu thẻ gốc không khớp)
+     */
+    static hydrate(element, builder) {
+        if (!(builder instanceof DOMBuilder)) {
+            throw new Error("DOMBuilder error: Tham số 'builder' truyền vào 'hydrate' phải là một DOMBuilder.");
+        }
+        if (!element || element.nodeType !== 1) {
+            throw new Error("DOMBuilder error: Tham số 'element' truyền vào 'hydrate' phải là element do server render.");
+        }
+        return DOMBuilder.fromElement(adoptElement(element, builder.export()));
+    }
+
     /**
      * Factory function để khởi tạo builder
      * @template {HTMLElement} T
@@ -150,7 +551,41 @@ export default class DOMBuilder {
      * @returns {Builders<T>}
      */
     static fromElement(element) {
-        return new (getBuilders()[element.constructor.name] || DOMBuilder)(element);
+        return new (findBuilder(element))(element);
+    }
+
+    /**
+     * Đăng ký builder cho một lớp element hoặc một tên thẻ, dùng bởi `fromElement` và `create`
+     * ```js
+     * class RatingBuilder extends DOMBuilder {
+     *     stars(count) {
+     *         this._target.setAttribute("stars", String(count));
+     *         return this;
+     *     }
+     * }
+     * DOMBuilder.registerBuilder("x-rating", RatingBuilder);
+     * DOMBuilder.create("x-rating").stars(4);
+     * ```
+     * - Lớp element được so khớp dọc chuỗi prototype, builder của lớp gần nhất được chọn
+     * (ví dụ đăng ký cho `HTMLElement` áp dụng cho mọi element HTML chưa có builder riêng)
+     * - Tên thẻ chỉ áp dụng cho element HTML và được ưu tiên hơn lớp element, phù hợp với custom element
+     * - Đăng ký lại cùng lớp element hoặc tên thẻ sẽ thay builder cũ, kể cả builder có sẵn
+     * @param {Function | string} ElementClassOrTagName - Lớp element (ví dụ `HTMLDialogElement`) hoặc tên thẻ (ví dụ `'x-rating'`)
+     * @param {typeof DOMBuilder} BuilderClass - Lớp kế thừa `DOMBuilder`
+     */
+    static registerBuilder(ElementClassOrTagName, BuilderClass) {
+        if (typeof BuilderClass !== "function" || (BuilderClass !== DOMBuilder && !(BuilderClass.prototype instanceof DOMBuilder))) {
+            throw new Error("DOMBuilder error: 'BuilderClass' truyền vào 'registerBuilder' phải là lớp kế thừa DOMBuilder.");
+        }
+
+        if (typeof ElementClassOrTagName === "string" && ElementClassOrTagName.trim()) {
+            buildersByTag.set(ElementClassOrTagName.trim().toLowerCase(), BuilderClass);
+        } else if (typeof ElementClassOrTagName === "function") {
+            registerDefaultBuilders();
+            buildersByClass.set(ElementClassOrTagName, BuilderClass);
+        } else {
+            throw new Error("DOMBuilder error: 'ElementClassOrTagName' truyền vào 'registerBuilder' phải là lớp element hoặc tên thẻ.");
+        }
     }
 }
 
@@ -185,108 +620,176 @@ class AnchorBuilder extends DOMBuilder {
 }
 
 /**
- * @extends DOMBuilder<HTMLVideoElement>
+ * Các thuộc tính chung của `video` và `audio`
+ * @template {HTMLMediaElement} T
+ * @extends DOMBuilder<T>
  */
-class VideoBuilder extends DOMBuilder {
+class MediaBuilder extends DOMBuilder {
     /**
-     * @param {HTMLVideoElement} element
+     * Thêm các source cho element, trình duyệt dùng source đầu tiên có `type` phát được
+     * ```js
+     * DOMBuilder.create("video").source("/media/intro.webm", { src: "/media/intro.mp4", type: 'video/mp4; codecs="avc1"' });
+     * ```
+     * - Đường dẫn tương đối được kiểm tra theo `baseURI` của document và được giữ nguyên như khi truyền vào
+     * - `type` được suy ra từ phần mở rộng (`.mp4`, `.webm`, `.mp3`, `.m3u8`, ...) nếu không truyền
+     * - Truyền một `Signal` (giá trị là source hoặc mảng source) để thay toàn bộ source và tải lại khi giá trị thay đổi
+     * @param {...(string | MediaSourceEntry | Signal<string | MediaSourceEntry | (string | MediaSourceEntry)[]>)} sources 
      */
-    constructor(element) {
-        super(element);
+    source(...sources) {
+        if (sources.length === 1 && sources[0] instanceof Signal) {
+            let initial = true;
+            bindValue(this._target, "source", sources[0], (value, target) => {
+                const entries = [value ?? []].flat().map(toMediaSourceEntry);
+                const current = [...target.children].filter(child => child.localName === "source");
+                const unchanged = current.length === entries.length && current.every((source, index) => {
+                    const { src, type, media } = entries[index];
+                    return source.getAttribute("src") === src
+                        && source.getAttribute("type") === (type ?? inferMediaType(src, target.localName) ?? null)
+                        && source.getAttribute("media") === (media || null);
+                });
+                if (!unchanged) {
+                    current.forEach(source => source.remove());
+                    DOMBuilder.fromElement(target).source(...entries);
+                    if (!initial) target.load();
+                }
+                initial = false;
+            });
+            return this;
+        }
+
+        const tracks = [...this._target.children].find(child => child.localName === "track") ?? null;
+        sources.map(toMediaSourceEntry).forEach(({ src, type, media }) => {
+            const sourceElement = this._target.ownerDocument.createElement("source");
+            sourceElement.setAttribute("src", validateMediaUrl(this._target, src, "source"));
+            const inferredType = type ?? inferMediaType(src, this._target.localName);
+            if (inferredType) sourceElement.type = inferredType;
+            if (media) sourceElement.media = media;
+            // `source` phải đứng trước `track`
+            this._target.insertBefore(sourceElement, tracks);
+        });
+        return this;
     }
 
     /**
-     * Đặt các đường dẫn làm source cho element
-     * @param {...string} sources 
+     * Thêm một text track WebVTT (phụ đề, chú thích, chương, ...)
+     * @param {string} src - Đường dẫn tới file `.vtt`
+     * @param {{
+     *   kind?: 'subtitles' | 'captions' | 'chapters' | 'descriptions' | 'metadata',
+     *   srclang?: string,
+     *   label?: string,
+     *   default?: boolean
+     * }} [options] - `srclang` bắt buộc với `subtitles`; `default` bật track khi tải (chỉ nên có một track `default` cho mỗi `kind`)
      */
-    source(...sources) {
-        sources.forEach(src => {
-            const standardizedSource = standardizedUrl(src);
-
-            if (standardizedSource) {
-                const sourceElement = document.createElement("source");
-                sourceElement.src = standardizedSource;
-                this._target.appendChild(sourceElement);
-            } else {
-                throw new Error(`VideoBuilder error: URL truyền vào 'source' không hợp lệ: "${src}", bỏ qua.`);
-            }
-        });
-
-        /**
-         * @param {String} url 
-         * @returns {String}
-         */
-        function standardizedUrl(url) {
-            try {
-                return new URL(url).toString();
-            } catch (_) {
-                return '';
-            }
+    track(src, { kind = "subtitles", srclang, label, default: isDefault = false } = {}) {
+        if (!TRACK_KINDS.has(kind)) {
+            throw new Error(`${mediaBuilderName(this._target)} error: 'kind' của track không hợp lệ: "${kind}".`);
         }
+        if (kind === "subtitles" && !srclang) {
+            throw new Error(`${mediaBuilderName(this._target)} error: Track 'subtitles' cần có 'srclang'.`);
+        }
+
+        const track = this._target.ownerDocument.createElement("track");
+        track.setAttribute("src", validateMediaUrl(this._target, src, "track"));
+        track.kind = kind;
+        if (srclang) track.srclang = srclang;
+        if (label) track.label = label;
+        if (isDefault) track.default = true;
+        this._target.appendChild(track);
+        return this;
+    }
 
+    /**
+     * Đặt các tùy chọn phát, tùy chọn không truyền vào được giữ nguyên
+     * - Trình duyệt thường chỉ cho tự phát (`autoplay`) khi `muted`, xem thêm `play`
+     * @param {{
+     *   autoplay?: boolean,
+     *   muted?: boolean,
+     *   loop?: boolean,
+     *   controls?: boolean,
+     *   playsInline?: boolean,
+     *   preload?: 'none' | 'metadata' | 'auto'
+     * }} options - `playsInline` chỉ có tác dụng với `video` (phát ngay trong trang trên iOS thay vì toàn màn hình)
+     */
+    options({ autoplay, muted, loop, controls, playsInline, preload }) {
+        const flags = { autoplay, muted, loop, controls, playsinline: playsInline };
+        for (const [name, enabled] of Object.entries(flags)) {
+            if (enabled === undefined) continue;
+            if (enabled) this._target.setAttribute(name, "");
+            else this._target.removeAttribute(name);
+        }
+        // Thuộc tính `muted` chỉ là giá trị mặc định, trạng thái hiện tại nằm ở property
+        if (muted !== undefined) this._target.muted = muted;
+        if (preload !== undefined) this._target.preload = preload;
         return this;
     }
 
     /**
-     * Set the current time of the video
+     * Đặt thời điểm phát hiện tại (giây)
      * @param {number} time
      */
     currentTime(time) {
         this._target.currentTime = time;
         return this;
     }
+
+    /**
+     * Bắt đầu phát
+     * ```js
+     * if (!(await video.play({ muteOnBlock: true }))) showPlayButton();
+     * ```
+     * @param {{ muteOnBlock?: boolean }} [options] - `muteOnBlock`: khi bị chặn tự phát, tắt tiếng và thử phát lại
+     * @returns {Promise<boolean>} - `true` nếu đang phát, `false` nếu trình duyệt chặn tự phát (`NotAllowedError`);
+     * bị reject với các lỗi khác (ví dụ không có source phát được)
+     */
+    async play({ muteOnBlock = false } = {}) {
+        const media = this._target;
+        if (typeof media.play !== "function") {
+            throw new Error(`${mediaBuilderName(media)} error: 'play' chỉ dùng được với element của trình duyệt.`);
+        }
+
+        try {
+            await media.play();
+            return true;
+        } catch (error) {
+            if (error?.name !== "NotAllowedError") throw error;
+            if (!muteOnBlock || media.muted) return false;
+
+            media.muted = true;
+            return this.play();
+        }
+    }
 }
 
 /**
- * @extends DOMBuilder<HTMLAudioElement>
+ * @extends MediaBuilder<HTMLVideoElement>
  */
-class AudioBuilder extends DOMBuilder {
+class VideoBuilder extends MediaBuilder {
     /**
-     * @param {HTMLAudioElement} element
+     * @param {HTMLVideoElement} element
      */
     constructor(element) {
         super(element);
     }
 
     /**
-     * Đặt các đường dẫn làm source cho element
-     * @param {...string} sources 
+     * Đặt ảnh hiển thị trước khi video được phát
+     * @param {string} url
      */
-    source(...sources) {
-        sources.forEach(src => {
-            const standardizedSource = standardizedUrl(src);
-
-            if (standardizedSource) {
-                const sourceElement = document.createElement("source");
-                sourceElement.src = standardizedSource;
-                this._target.appendChild(sourceElement);
-            } else {
-                throw new Error(`AudioBuilder error: URL truyền vào 'source' không hợp lệ: "${src}", bỏ qua.`);
-            }
-        });
-
-        /**
-         * @param {String} url 
-         * @returns {String}
-         */
-        function standardizedUrl(url) {
-            try {
-                return new URL(url).toString();
-            } catch (_) {
-                return '';
-            }
-        }
-
+    poster(url) {
+        this._target.setAttribute("poster", validateMediaUrl(this._target, url, "poster"));
         return this;
     }
+}
 
+/**
+ * @extends MediaBuilder<HTMLAudioElement>
+ */
+class AudioBuilder extends MediaBuilder {
     /**
-     * Set the current time of the video
-     * @param {number} time
+     * @param {HTMLAudioElement} element
      */
-    currentTime(time) {
-        this._target.currentTime = time;
-        return this;
+    constructor(element) {
+        super(element);
     }
 }
 
@@ -303,10 +806,14 @@ class ImageBuilder extends DOMBuilder {
 
     /**
      * Đặt thuộc tính src cho element
-     * @param {string} url
+     * - Truyền `Signal` để ảnh tự đổi theo giá trị của signal, giá trị `null`, `undefined` sẽ gỡ thuộc tính
+     * @param {string | Signal<string | null | undefined>} url
      */
     src(url) {
-        this._target.src = url;
+        bindValue(this._target, "src", url, (value, target) => {
+            if (value === null || value === undefined) target.removeAttribute("src");
+            else target.src = value;
+        });
         return this;
     }
 
@@ -318,4 +825,1445 @@ class ImageBuilder extends DOMBuilder {
         this._target.alt = alt;
         return this;
     }
-}
\ No newline at end of file
+
+    /**
+     * Đặt các ảnh ứng viên (`srcset`) để trình duyệt chọn theo kích thước hiển thị hoặc mật độ điểm ảnh
+     * ```js
+     * image.srcset(["a-480.jpg", 480], ["a-960.jpg", 960]).sizes("(max-width: 600px) 100vw", "50vw");
+     * image.srcset(["a.jpg", "1x"], ["a@2x.jpg", "2x"]);
+     * ```
+     * @param {...(string | [url: string, descriptor: number | string])} candidates - Chuỗi ứng viên,
+     * hoặc cặp đường dẫn và mô tả (số là chiều rộng `w`, chuỗi được giữ nguyên như `'2x'`)
+     */
+    srcset(...candidates) {
+        this._target.srcset = formatSrcset(candidates);
+        return this;
+    }
+
+    /**
+     * Đặt thuộc tính sizes, các điều kiện được nối theo thứ tự, điều kiện cuối cùng là giá trị mặc định
+     * @param {...string} sizes - Ví dụ `'(max-width: 600px) 100vw'`, `'50vw'`
+     */
+    sizes(...sizes) {
+        this._target.sizes = sizes.join(", ");
+        return this;
+    }
+
+    /**
+     * Đặt kích thước gốc của ảnh để trình duyệt giữ chỗ trước khi ảnh tải xong, tránh dịch chuyển bố cục
+     * @param {number} width
+     * @param {number} height
+     */
+    size(width, height) {
+        if (!(width > 0) || !(height > 0)) {
+            throw new Error("ImageBuilder error: 'width' và 'height' truyền vào 'size' phải là số dương.");
+        }
+        this._target.width = width;
+        this._target.height = height;
+        return this;
+    }
+
+    /**
+     * Đặt cách tải ảnh
+     * @param {'lazy' | 'eager'} [loading]
+     */
+    loading(loading = "lazy") {
+        this._target.loading = loading;
+        return this;
+    }
+
+    /**
+     * Đặt cách giải mã ảnh
+     * @param {'async' | 'sync' | 'auto'} decoding
+     */
+    decoding(decoding) {
+        this._target.decoding = decoding;
+        return this;
+    }
+
+    /**
+     * Đặt độ ưu tiên tải ảnh so với các tài nguyên khác (ví dụ `'high'` cho ảnh lớn đầu trang)
+     * @param {'high' | 'low' | 'auto'} priority
+     */
+    fetchPriority(priority) {
+        this._target.setAttribute("fetchpriority", priority);
+        return this;
+    }
+
+    /**
+     * Đặt ảnh dự phòng, tự động được dùng khi ảnh (kể cả `srcset` và `source` của `picture` chứa ảnh) không tải được
+     * - Đường dẫn được lưu trong thuộc tính `data-fallback-src`, listener được chuyển sang ảnh của server khi `hydrate`
+     * và ảnh đã lỗi trước khi hydrate được chuyển sang ảnh dự phòng ngay
+     * @param {string} url
+     */
+    fallback(url) {
+        this._target.setAttribute(IMAGE_FALLBACK_ATTRIBUTE, url);
+        if (!fallbackImages.has(this._target)) {
+            fallbackImages.add(this._target);
+            this.on("error", (_, image) => applyImageFallback(image));
+        }
+
+        // Ảnh đã lỗi trước khi đặt ảnh dự phòng
+        if (imageFailed(this._target)) applyImageFallback(this._target);
+        return this;
+    }
+
+    /**
+     * Chờ ảnh tải xong, kể cả khi phải chuyển sang ảnh dự phòng (`fallback`)
+     * @returns {Promise<HTMLImageElement>} - Bị reject nếu ảnh (và ảnh dự phòng) không tải được
+     */
+    loaded() {
+        const image = this._target;
+        if (typeof image.decode !== "function") {
+            return Promise.reject(new Error("ImageBuilder error: 'loaded' chỉ dùng được với element của trình duyệt."));
+        }
+
+        return new Promise((resolve, reject) => {
+            const listen = () => {
+                image.addEventListener("load", settle);
+                image.addEventListener("error", settle);
+            };
+            const settle = () => {
+                if (!image.complete) return;
+                image.removeEventListener("load", settle);
+                image.removeEventListener("error", settle);
+
+                if (image.naturalWidth > 0) resolve(image);
+                else if (applyImageFallback(image)) listen();
+                else reject(new Error(`ImageBuilder error: Không tải được ảnh "${image.currentSrc || image.src}".`));
+            };
+            listen();
+            settle();
+        });
+    }
+
+    /**
+     * Chờ ảnh tải xong (như `loaded`) và được giải mã, có thể chèn vào trang mà không bị giật khi hiển thị
+     * @returns {Promise<HTMLImageElement>}
+     */
+    decode() {
+        return this.loaded().then(image => image.decode().then(() => image));
+    }
+}
+
+/**
+ * Các thuộc tính chung của điều khiển trong form
+ * @template {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement | HTMLButtonElement} T
+ * @extends DOMBuilder<T>
+ */
+class FormControlBuilder extends DOMBuilder {
+    /**
+     * Đặt thuộc tính name, dùng làm khóa khi gửi form
+     * @param {string} name
+     */
+    name(name) {
+        this._target.name = name;
+        return this;
+    }
+
+    /**
+     * Đặt giá trị hiện tại của element
+     * - Nhận giá trị có kiểu giống `FormBuilder.setValues`: số, `Date` (với `date`, `datetime-local`, `month`),
+     * mảng (với select chọn nhiều); `time` chỉ nhận chuỗi `HH:mm` vì không có ngày đi kèm
+     * @param {any} value
+     */
+    value(value) {
+        writeSingleValue(this._target, value);
+        return this;
+    }
+
+    /**
+     * Bật/tắt trạng thái disabled
+     * @param {boolean} [disabled]
+     */
+    disabled(disabled = true) {
+        this._target.disabled = disabled;
+        return this;
+    }
+
+    /**
+     * Đặt các quy tắc kiểm tra giá trị, lỗi được báo qua Constraint Validation API (`setCustomValidity`) nên
+     * `:invalid`, `checkValidity()`, `reportValidity()` và việc chặn gửi form của trình duyệt hoạt động như ràng buộc gốc
+     * ```js
+     * DOMBuilder.create("input", { name: "age", type: "number" }).rules({
+     *     required: "Vui lòng nhập tuổi",
+     *     min: [18, "Bạn phải từ 18 tuổi trở lên"],
+     *     custom: (age, values) => values.role === "admin" && age < 21 ? "Quản trị viên phải từ 21 tuổi" : null,
+     * })
+     * ```
+     * - Giá trị được kiểm tra đã chuyển kiểu như `FormBuilder.getValues`, giá trị rỗng chỉ bị kiểm tra bởi `required`
+     * - Được kiểm tra lại khi element phát sự kiện `input`, `change` và khi gọi `FormBuilder.validate`
+     * (quy tắc phụ thuộc trường khác hoặc đặt trên một phần tử của nhóm checkbox/radio nên được kiểm tra lại bằng `validate`)
+     * - Listener kiểm tra lại được theo dõi như `on` nên bị gỡ bởi `off("input")`/`off("change")` và `dispose`
+     * @param {ValidationRules} rules
+     */
+    rules(rules) {
+        for (const name of Object.keys(rules)) {
+            if (!(name in VALIDATION_MESSAGES)) {
+                throw new Error(`DOMBuilder error: Quy tắc kiểm tra '${name}' không được hỗ trợ.`);
+            }
+        }
+
+        // Gắn lại listener nếu chưa có hoặc đã bị gỡ bởi `off`/`dispose`
+        const registry = listenerRegistries.get(this._target);
+        if (!registry?.listeners.some(entry => entry.listener === revalidateControl)) {
+            addTrackedListener(this._target, "input", null, revalidateControl, {}, false);
+            addTrackedListener(this._target, "change", null, revalidateControl, {}, false);
+        }
+        validationRules.set(this._target, rules);
+        return this;
+    }
+}
+
+/**
+ * @extends FormControlBuilder<HTMLInputElement>
+ */
+class InputBuilder extends FormControlBuilder {
+    /**
+     * @param {HTMLInputElement} element
+     */
+    constructor(element) {
+        super(element);
+    }
+
+    /**
+     * Đặt thuộc tính type, ví dụ `'text'`, `'email'`, `'checkbox'`
+     * @param {string} type
+     */
+    type(type) {
+        this._target.type = type;
+        return this;
+    }
+
+    /**
+     * Đặt thuộc tính placeholder
+     * @param {string} placeholder
+     */
+    placeholder(placeholder) {
+        this._target.placeholder = placeholder;
+        return this;
+    }
+
+    /**
+     * Bật/tắt trạng thái checked (với `checkbox`, `radio`)
+     * @param {boolean} [checked]
+     */
+    checked(checked = true) {
+        this._target.checked = checked;
+        return this;
+    }
+
+    /**
+     * Bật/tắt thuộc tính required
+     * @param {boolean} [required]
+     */
+    required(required = true) {
+        this._target.required = required;
+        return this;
+    }
+
+    /**
+     * Đặt thuộc tính pattern, giá trị phải khớp toàn bộ biểu thức
+     * @param {RegExp | string} pattern
+     */
+    pattern(pattern) {
+        this._target.pattern = pattern instanceof RegExp ? pattern.source : pattern;
+        return this;
+    }
+
+    /**
+     * Đặt giá trị nhỏ nhất (với `number`, `range`, `date`, ...)
+     * @param {number | Date | string} min
+     */
+    min(min) {
+        this._target.min = toInputString(this._target.type, min);
+        return this;
+    }
+
+    /**
+     * Đặt giá trị lớn nhất (với `number`, `range`, `date`, ...)
+     * @param {number | Date | string} max
+     */
+    max(max) {
+        this._target.max = toInputString(this._target.type, max);
+        return this;
+    }
+
+    /**
+     * Đặt bước nhảy giá trị, `'any'` để chấp nhận mọi giá trị
+     * @param {number | 'any'} step
+     */
+    step(step) {
+        this._target.step = String(step);
+        return this;
+    }
+
+    /**
+     * Đặt độ dài tối thiểu của giá trị
+     * @param {number} length
+     */
+    minLength(length) {
+        this._target.minLength = length;
+        return this;
+    }
+
+    /**
+     * Đặt độ dài tối đa của giá trị
+     * @param {number} length
+     */
+    maxLength(length) {
+        this._target.maxLength = length;
+        return this;
+    }
+}
+
+/**
+ * @extends FormControlBuilder<HTMLSelectElement>
+ */
+class SelectBuilder extends FormControlBuilder {
+    /**
+     * @param {HTMLSelectElement} element
+     */
+    constructor(element) {
+        super(element);
+    }
+
+    /**
+     * Thay toàn bộ lựa chọn của element
+     * - Chuỗi được dùng làm cả giá trị và nhãn của lựa chọn
+     * @param {...(string | { value: string, label?: string, selected?: boolean, disabled?: boolean })} options
+     */
+    options(...options) {
+        this._target.replaceChildren(...options.flat().map(option => {
+            const { value, label = value, selected = false, disabled = false } =
+                typeof option === "string" ? { value: option } : option;
+            const element = this._target.ownerDocument.createElement("option");
+            element.value = value;
+            element.textContent = label;
+            element.selected = element.defaultSelected = selected;
+            element.disabled = disabled;
+            return element;
+        }));
+        return this;
+    }
+
+    /**
+     * Bật/tắt chế độ chọn nhiều
+     * @param {boolean} [multiple]
+     */
+    multiple(multiple = true) {
+        this._target.multiple = multiple;
+        return this;
+    }
+
+    /**
+     * Bật/tắt thuộc tính required
+     * @param {boolean} [required]
+     */
+    required(required = true) {
+        this._target.required = required;
+        return this;
+    }
+}
+
+/**
+ * @extends FormControlBuilder<HTMLTextAreaElement>
+ */
+class TextAreaBuilder extends FormControlBuilder {
+    /**
+     * @param {HTMLTextAreaElement} element
+     */
+    constructor(element) {
+        super(element);
+    }
+
+    /**
+     * Đặt thuộc tính placeholder
+     * @param {string} placeholder
+     */
+    placeholder(placeholder) {
+        this._target.placeholder = placeholder;
+        return this;
+    }
+
+    /**
+     * Đặt số dòng hiển thị
+     * @param {number} rows
+     */
+    rows(rows) {
+        this._target.rows = rows;
+        return this;
+    }
+
+    /**
+     * Đặt độ dài tối thiểu của giá trị
+     * @param {number} length
+     */
+    minLength(length) {
+        this._target.minLength = length;
+        return this;
+    }
+
+    /**
+     * Đặt độ dài tối đa của giá trị
+     * @param {number} length
+     */
+    maxLength(length) {
+        this._target.maxLength = length;
+        return this;
+    }
+
+    /**
+     * Bật/tắt thuộc tính required
+     * @param {boolean} [required]
+     */
+    required(required = true) {
+        this._target.required = required;
+        return this;
+    }
+}
+
+/**
+ * @extends FormControlBuilder<HTMLButtonElement>
+ */
+class ButtonBuilder extends FormControlBuilder {
+    /**
+     * @param {HTMLButtonElement} element
+     */
+    constructor(element) {
+        super(element);
+    }
+
+    /**
+     * Đặt thuộc tính type, mặc định của trình duyệt là `'submit'` khi nằm trong form
+     * @param {'button' | 'submit' | 'reset'} type
+     */
+    type(type) {
+        this._target.type = type;
+        return this;
+    }
+}
+
+/**
+ * @extends DOMBuilder<HTMLFormElement>
+ */
+class FormBuilder extends DOMBuilder {
+    /**
+     * @param {HTMLFormElement} element
+     */
+    constructor(element) {
+        super(element);
+    }
+
+    /**
+     * Đặt thuộc tính action
+     * @param {string} url
+     */
+    action(url) {
+        this._target.action = url;
+        return this;
+    }
+
+    /**
+     * Đặt thuộc tính method
+     * @param {'get' | 'post' | 'dialog'} method
+     */
+    method(method) {
+        this._target.method = method;
+        return this;
+    }
+
+    /**
+     * Đọc giá trị của các trường có `name` thành object, giá trị được chuyển kiểu theo loại trường:
+     * - `number`, `range`: số, hoặc `null` khi rỗng
+     * - `date`, `datetime-local`, `month`: `Date` theo giờ địa phương, hoặc `null` khi rỗng
+     * - `time`: chuỗi `HH:mm` (hoặc `HH:mm:ss`) như trong input, không chuyển thành `Date` vì không có ngày đi kèm
+     * - `checkbox`: `boolean` nếu chỉ có một checkbox cùng tên, ngược lại là mảng `value` của các checkbox được chọn
+     * - `radio`: `value` của lựa chọn được chọn, hoặc `null`
+     * - `select` chọn nhiều: mảng `value` của các lựa chọn được chọn
+     * - `file`: `File` (hoặc mảng `File` nếu chọn nhiều)
+     * - Nhiều trường khác cùng tên: mảng giá trị theo thứ tự trong form
+     * - Trường bị disabled và các nút bị bỏ qua, giống khi trình duyệt gửi form
+     * @returns {Record<string, any>}
+     */
+    getValues() {
+        return readFormValues(this._target);
+    }
+
+    /**
+     * Ghi giá trị vào các trường theo `name`, nhận cùng kiểu giá trị mà `getValues` trả về
+     * - Khóa không có trường tương ứng bị bỏ qua, trường `file` chỉ có thể được xóa bằng `null`
+     * @param {Record<string, any>} values
+     */
+    setValues(values) {
+        const groups = groupControls(this._target, true);
+        for (const [name, value] of Object.entries(values)) {
+            if (groups.has(name)) writeControlValue(groups.get(name), value);
+        }
+        return this;
+    }
+
+    /**
+     * Kiểm tra lại quy tắc của mọi trường (đặt bằng `rules`) cùng các ràng buộc gốc của HTML
+     * @param {boolean} [report] - Hiển thị thông báo lỗi của trình duyệt cho trường lỗi đầu tiên (`reportValidity`)
+     * @returns {boolean} - `true` nếu mọi trường đều hợp lệ
+     */
+    validate(report = true) {
+        // Đọc giá trị của form một lần cho mọi trường thay vì đọc lại ở từng trường
+        const values = readFormValues(this._target);
+        const groups = groupControls(this._target, true);
+        [...this._target.elements].forEach(element => validateControl(/** @type {any} */ (element), values, groups));
+        return report ? this._target.reportValidity() : this._target.checkValidity();
+    }
+
+    /**
+     * Xử lý gửi form: chặn hành vi mặc định, kiểm tra bằng `validate` và chỉ gọi `handler` khi form hợp lệ
+     * - Form được đặt `novalidate` để việc kiểm tra luôn đi qua `validate`, tránh lỗi cũ của quy tắc phụ thuộc trường khác chặn việc gửi
+     * @param {(values: Record<string, any>, event: SubmitEvent) => void} handler - Nhận kết quả của `getValues`
+     */
+    onSubmit(handler) {
+        this._target.noValidate = true;
+        this.on("submit", event => {
+            event.preventDefault();
+            if (this.validate()) handler(this.getValues(), /** @type {SubmitEvent} */ (event));
+        });
+        return this;
+    }
+}
+
+/**
+ * @extends DOMBuilder<HTMLTableElement>
+ */
+class TableBuilder extends DOMBuilder {
+    /**
+     * @param {HTMLTableElement} element
+     */
+    constructor(element) {
+        super(element);
+    }
+
+    /**
+     * Đặt tiêu đề (caption) của bảng
+     * @param {string} caption
+     */
+    caption(caption) {
+        let element = [...this._target.children].find(child => child.localName === "caption");
+        if (!element) {
+            element = this._target.ownerDocument.createElement("caption");
+            this._target.insertBefore(element, this._target.firstChild);
+        }
+        element.textContent = caption;
+        return this;
+    }
+
+    /**
+     * Thay phần đầu (`thead`) của bảng bằng một dòng gồm các ô `th`
+     * @param {...BuilderChild} cells - Nội dung của từng ô
+     */
+    head(...cells) {
+        const document = this._target.ownerDocument;
+        const head = document.createElement("thead");
+        const row = head.appendChild(document.createElement("tr"));
+        cells.forEach(cell => row.appendChild(document.createElement("th")).append(...toNodes([cell])));
+
+        const children = [...this._target.children];
+        const current = children.find(child => child.localName === "thead");
+        if (current) {
+            this._target.insertBefore(head, current);
+            current.remove();
+        } else {
+            const caption = children.find(child => child.localName === "caption");
+            this._target.insertBefore(head, caption ? caption.nextSibling ?? null : this._target.firstChild);
+        }
+        return this;
+    }
+
+    /**
+     * Thêm các dòng vào phần thân (`tbody`) của bảng, mỗi dòng là mảng nội dung của từng ô `td`
+     * @param {...BuilderChild[]} rows
+     */
+    rows(...rows) {
+        const document = this._target.ownerDocument;
+        const body = [...this._target.children].find(child => child.localName === "tbody") ??
+            this._target.appendChild(document.createElement("tbody"));
+        rows.forEach(cells => {
+            const row = body.appendChild(document.createElement("tr"));
+            cells.forEach(cell => row.appendChild(document.createElement("td")).append(...toNodes([cell])));
+        });
+        return this;
+    }
+}
+
+/**
+ * @extends DOMBuilder<HTMLIFrameElement>
+ */
+class IFrameBuilder extends DOMBuilder {
+    /**
+     * @param {HTMLIFrameElement} element
+     */
+    constructor(element) {
+        super(element);
+    }
+
+    /**
+     * Đặt thuộc tính src
+     * @param {string} url
+     */
+    src(url) {
+        this._target.src = url;
+        return this;
+    }
+
+    /**
+     * Đặt thuộc tính sandbox, không truyền quyền nào nghĩa là áp dụng mọi giới hạn
+     * @param {...string} permissions - Ví dụ `'allow-scripts'`, `'allow-forms'`
+     */
+    sandbox(...permissions) {
+        this._target.setAttribute("sandbox", permissions.join(" "));
+        return this;
+    }
+
+    /**
+     * Đặt thuộc tính allow (permissions policy), ví dụ `'fullscreen; autoplay'`
+     * @param {string} policy
+     */
+    allow(policy) {
+        this._target.allow = policy;
+        return this;
+    }
+}
+
+/**
+ * @extends DOMBuilder<HTMLPictureElement>
+ */
+class PictureBuilder extends DOMBuilder {
+    /**
+     * @param {HTMLPictureElement} element
+     */
+    constructor(element) {
+        super(element);
+    }
+
+    /**
+     * Thêm một `source` vào trước ảnh dự phòng, trình duyệt dùng `source` đầu tiên có `type` và `media` phù hợp
+     * ```js
+     * DOMBuilder.create("picture")
+     *     .source("hero.avif")
+     *     .source([["hero-800.webp", 800], ["hero-1600.webp", 1600]], { sizes: "100vw" })
+     *     .img("hero.jpg", "Ảnh bìa", image => image.size(1600, 900).fetchPriority("high"));
+     * ```
+     * - `type` được suy ra từ phần mở rộng của ảnh đầu tiên nếu không truyền (`.avif`, `.webp`, `.jxl`, `.png`, `.jpg`, ...)
+     * @param {string | (string | [url: string, descriptor: number | string])[]} srcset - Chuỗi `srcset` hoặc danh sách ứng viên như `ImageBuilder.srcset`
+     * @param {{ media?: string, type?: string, sizes?: string }} [options]
+     */
+    source(srcset, { media, type, sizes } = {}) {
+        const value = Array.isArray(srcset) ? formatSrcset(srcset) : srcset;
+        const source = this._target.ownerDocument.createElement("source");
+        source.srcset = value;
+        if (media) source.media = media;
+        if (sizes) source.sizes = sizes;
+        const inferredType = type ?? IMAGE_TYPES[/\.(\w+)(?:[?#]|$)/.exec(value.trim().split(/\s/)[0])?.[1]?.toLowerCase()];
+        if (inferredType) source.type = inferredType;
+        this._target.insertBefore(source, [...this._target.children].find(child => child.localName === "img") ?? null);
+        return this;
+    }
+
+    /**
+     * Đặt ảnh dự phòng (`img`), được dùng khi không có `source` nào phù hợp
+     * @param {string} src
+     * @param {string} [alt]
+     * @param {(image: ImageBuilder) => void} [configure] - Cấu hình thêm cho `img`, ví dụ `size`, `loading`, `fallback`
+     */
+    img(src, alt = "", configure = undefined) {
+        const image = [...this._target.children].find(child => child.localName === "img") ??
+            this._target.appendChild(this._target.ownerDocument.createElement("img"));
+        const builder = /** @type {ImageBuilder} */ (DOMBuilder.fromElement(image)).src(src).alt(alt);
+        configure?.(builder);
+        return this;
+    }
+}
+
+/**
+ * - `children`, `append`, `setHtml`, `pushHtml` thao tác trên `content` của template thay vì chính element
+ * @extends DOMBuilder<HTMLTemplateElement>
+ */
+class TemplateBuilder extends DOMBuilder {
+    /**
+     * @param {HTMLTemplateElement} element
+     */
+    constructor(element) {
+        super(element);
+    }
+
+    /**
+     * @param {...BuilderChild} children
+     */
+    children(...children) {
+        this._target.content.replaceChildren(...toNodes(children));
+        return this;
+    }
+
+    /**
+     * @param {...BuilderChild} children
+     */
+    append(...children) {
+        this._target.content.append(...toNodes(children));
+        return this;
+    }
+
+    /**
+     * @param {string | SafeHtml} htmlString
+     */
+    setHtml(htmlString) {
+        this._target.content.replaceChildren(parseHtml(htmlString, this._target.ownerDocument));
+        return this;
+    }
+
+    /**
+     * @param {string | SafeHtml} htmlString
+     */
+    pushHtml(htmlString) {
+        this._target.content.append(parseHtml(htmlString, this._target.ownerDocument));
+        return this;
+    }
+
+    /**
+     * Tạo bản sao nội dung của template để chèn vào trang
+     * @returns {DocumentFragment}
+     */
+    clone() {
+        return this._target.ownerDocument.importNode(this._target.content, true);
+    }
+}
+
+/**
+ * Kiểu MIME của media theo phần mở rộng, `[kiểu cho video, kiểu cho audio]` với định dạng chứa được cả hai
+ * @type {Record<string, string | [video: string, audio: string]>}
+ */
+const MEDIA_TYPES = {
+    mp4: ["video/mp4", "audio/mp4"],
+    m4v: "video/mp4",
+    m4a: "audio/mp4",
+    webm: ["video/webm", "audio/webm"],
+    ogg: ["video/ogg", "audio/ogg"],
+    ogv: "video/ogg",
+    oga: "audio/ogg",
+    opus: "audio/ogg",
+    mov: "video/quicktime",
+    mp3: "audio/mpeg",
+    wav: "audio/wav",
+    flac: "audio/flac",
+    aac: "audio/aac",
+    m3u8: "application/vnd.apple.mpegurl",
+    mpd: "application/dash+xml",
+};
+
+/**
+ * Các scheme được chấp nhận cho đường dẫn media
+ */
+const MEDIA_URL_PROTOCOLS = new Set(["http:", "https:", "file:", "blob:", "data:"]);
+
+/**
+ * Các loại text track hợp lệ
+ */
+const TRACK_KINDS = new Set(["subtitles", "captions", "chapters", "descriptions", "metadata"]);
+
+/**
+ * @param {HTMLMediaElement} media
+ * @returns {string} - Tên builder dùng trong thông báo lỗi
+ */
+function mediaBuilderName(media) {
+    return media.localName === "video" ? "VideoBuilder" : "AudioBuilder";
+}
+
+/**
+ * @param {string | MediaSourceEntry} source
+ * @returns {MediaSourceEntry}
+ */
+function toMediaSourceEntry(source) {
+    return typeof source === "string" ? { src: source } : source;
+}
+
+/**
+ * Kiểm tra đường dẫn media theo `baseURI` của document chứa element, trả về đường dẫn như khi truyền vào
+ * @param {HTMLMediaElement} media
+ * @param {string} url
+ * @param {string} method - Tên method gọi kiểm tra, dùng cho thông báo lỗi
+ * @returns {string}
+ */
+function validateMediaUrl(media, url, method) {
+    // Document không có đường dẫn gốc phân cấp (ví dụ `about:blank`) không phân giải được đường dẫn tương đối
+    let baseUrl = "http://localhost/";
+    try {
+        baseUrl = new URL(".", media.ownerDocument.baseURI).href;
+    } catch (_) {
+        // Giữ đường dẫn gốc mặc định
+    }
+
+    let protocol = "";
+    try {
+        protocol = new URL(url, baseUrl).protocol;
+    } catch (_) {
+        // Để trống protocol, báo lỗi bên dưới
+    }
+    if (typeof url !== "string" || !url.trim() || !MEDIA_URL_PROTOCOLS.has(protocol)) {
+        throw new Error(`${mediaBuilderName(media)} error: URL truyền vào '${method}' không hợp lệ: "${url}".`);
+    }
+    return url;
+}
+
+/**
+ * Suy ra kiểu MIME từ phần mở rộng của đường dẫn
+ * @param {string} url
+ * @param {string} kind - `'video'` hoặc `'audio'`
+ * @returns {string | undefined}
+ */
+function inferMediaType(url, kind) {
+    const extension = /\.(\w+)(?:[?#]|$)/.exec(url)?.[1]?.toLowerCase();
+    const type = extension && MEDIA_TYPES[extension];
+    return Array.isArray(type) ? type[kind === "audio" ? 1 : 0] : type;
+}
+
+/**
+ * Thuộc tính lưu đường dẫn ảnh dự phòng của `ImageBuilder.fallback`
+ */
+const IMAGE_FALLBACK_ATTRIBUTE = "data-fallback-src";
+
+/**
+ * Các ảnh đã gắn listener chuyển sang ảnh dự phòng
+ * @type {WeakSet<Element>}
+ */
+const fallbackImages = new WeakSet();
+
+/**
+ * Kiểu MIME của ảnh theo phần mở rộng, dùng để suy ra `type` của `source` trong `picture`
+ */
+const IMAGE_TYPES = {
+    avif: "image/avif",
+    webp: "image/webp",
+    jxl: "image/jxl",
+    png: "image/png",
+    apng: "image/apng",
+    jpg: "image/jpeg",
+    jpeg: "image/jpeg",
+    gif: "image/gif",
+    svg: "image/svg+xml",
+};
+
+/**
+ * Tạo giá trị `srcset` từ danh sách ứng viên
+ * @param {(string | [url: string, descriptor: number | string])[]} candidates
+ * @returns {string}
+ */
+function formatSrcset(candidates) {
+    return candidates.map(candidate => {
+        if (typeof candidate === "string") return candidate;
+        const [url, descriptor] = candidate;
+        if (typeof url !== "string" || !url || /\s/.test(url)) {
+            throw new Error(`ImageBuilder error: Đường dẫn trong 'srcset' không hợp lệ: "${url}".`);
+        }
+        return descriptor === undefined ? url : `${url} ${typeof descriptor === "number" ? `${descriptor}w` : descriptor}`;
+    }).join(", ");
+}
+
+/**
+ * Ảnh đã tải xong nhưng lỗi (không có kích thước)
+ * @param {HTMLImageElement} image
+ * @returns {boolean}
+ */
+function imageFailed(image) {
+    return !!(image.complete && image.getAttribute("src") && image.naturalWidth === 0);
+}
+
+/**
+ * Chuyển ảnh sang ảnh dự phòng (nếu có và chưa chuyển): gỡ `srcset`, các `source` của `picture` chứa ảnh và đặt lại `src`
+ * @param {HTMLImageElement} image
+ * @returns {boolean} - `true` nếu vừa chuyển sang ảnh dự phòng
+ */
+function applyImageFallback(image) {
+    const fallback = image.getAttribute(IMAGE_FALLBACK_ATTRIBUTE);
+    if (!fallback || image.getAttribute("src") === fallback) return false;
+
+    if (image.parentNode?.localName === "picture") {
+        [...image.parentNode.children].filter(child => child.localName === "source").forEach(source => source.remove());
+    }
+    image.removeAttribute("srcset");
+    image.removeAttribute("sizes");
+    image.src = fallback;
+    return true;
+}
+
+/**
+ * Quy tắc kiểm tra của từng trường, đặt bằng `rules`
+ * @type {WeakMap<Element, ValidationRules>}
+ */
+const validationRules = new WeakMap();
+
+/**
+ * Thông báo lỗi mặc định của từng quy tắc, `{0}` được thay bằng ràng buộc
+ */
+const VALIDATION_MESSAGES = {
+    required: "Vui lòng nhập giá trị cho trường này.",
+    pattern: "Giá trị không đúng định dạng yêu cầu.",
+    min: "Giá trị phải lớn hơn hoặc bằng {0}.",
+    max: "Giá trị phải nhỏ hơn hoặc bằng {0}.",
+    minLength: "Độ dài phải tối thiểu là {0}.",
+    maxLength: "Độ dài phải tối đa là {0}.",
+    custom: "Giá trị không hợp lệ.",
+};
+
+/**
+ * Các loại input dạng nút, không mang giá trị của form
+ */
+const BUTTON_INPUT_TYPES = new Set(["submit", "reset", "button", "image"]);
+
+/**
+ * Kiểm tra quy tắc của một trường và cập nhật lỗi qua `setCustomValidity`
+ * @param {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} control
+ * @param {Record<string, any>} [values] - Giá trị của form chứa trường, đọc từ form nếu không truyền
+ * @param {Map<string, any[]>} [groups] - Các trường của form theo `name` (kể cả trường bị disabled), lấy từ form nếu không truyền
+ */
+function validateControl(control, values = undefined, groups = undefined) {
+    const rules = validationRules.get(control);
+    if (!rules) return;
+
+    values ??= control.form ? readFormValues(control.form) : {};
+    groups ??= control.form ? groupControls(control.form, true) : undefined;
+    const group = control.name ? groups?.get(control.name) : null;
+    const value = readControlValue(group ?? [control]);
+    control.setCustomValidity(findRuleError(rules, value, values));
+}
+
+/**
+ * Listener `input`/`change` do `rules` gắn, dùng chung cho mọi trường để nhận biết listener đã được gắn và giữ đúng element khi `hydrate`
+ * @param {Event} event
+ * @param {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} control
+ */
+function revalidateControl(event, control) {
+    validateControl(control);
+}
+
+/**
+ * Tìm lỗi đầu tiên theo thứ tự khai báo quy tắc
+ * @param {ValidationRules} rules
+ * @param {any} value - Giá trị đã chuyển kiểu của trường
+ * @param {Record<string, any>} values - Giá trị của cả form
+ * @returns {string} - Thông báo lỗi, chuỗi rỗng nếu hợp lệ
+ */
+function findRuleError(rules, value, values) {
+    const isEmpty = value === null || value === "" || value === false || (Array.isArray(value) && !value.length);
+    const items = Array.isArray(value) ? value : [value];
+
+    for (const [name, rule] of Object.entries(rules)) {
+        if (name === "custom") {
+            for (const validate of [rule].flat()) {
+                const message = validate(value, values);
+                if (message) return typeof message === "string" ? message : VALIDATION_MESSAGES.custom;
+            }
+            continue;
+        }
+
+        const [constraint, message] =
+            Array.isArray(rule) ? rule :
+            name === "required" && typeof rule === "string" ? [true, rule] :
+            [rule, undefined];
+        if (name !== "required" && isEmpty) continue;
+
+        let failed;
+        switch (name) {
+            case "required":
+                failed = !!constraint && isEmpty;
+                break;
+            case "pattern": {
+                const source = constraint instanceof RegExp ? constraint.source : constraint;
+                const flags = constraint instanceof RegExp ? constraint.flags.replace(/[gy]/g, "") : "";
+                const regex = new RegExp(`^(?:${source})$`, flags);
+                failed = items.some(item => !regex.test(String(item)));
+                break;
+            }
+            case "min":
+                failed = items.some(item => item < constraint);
+                break;
+            case "max":
+                failed = items.some(item => item > constraint);
+                break;
+            case "minLength":
+                failed = (Array.isArray(value) ? value.length : String(value).length) < constraint;
+                break;
+            case "maxLength":
+                failed = (Array.isArray(value) ? value.length : String(value).length) > constraint;
+                break;
+        }
+
+        if (failed) {
+            const bound = constraint instanceof Date ? constraint.toLocaleString() : String(constraint);
+            return message ?? VALIDATION_MESSAGES[name].replace("{0}", bound);
+        }
+    }
+    return "";
+}
+
+/**
+ * Nhóm các trường mang giá trị của form theo `name`, theo thứ tự trong form
+ * @param {HTMLFormElement} form
+ * @param {boolean} includeDisabled - Có lấy cả trường bị disabled hay không
+ * @returns {Map<string, (HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement)[]>}
+ */
+function groupControls(form, includeDisabled) {
+    const groups = new Map();
+    for (const element of /** @type {any[]} */ ([...form.elements])) {
+        if (!["input", "select", "textarea"].includes(element.localName) || !element.name) continue;
+        if (BUTTON_INPUT_TYPES.has(element.type) || (!includeDisabled && element.disabled)) continue;
+
+        if (!groups.has(element.name)) groups.set(element.name, []);
+        groups.get(element.name).push(element);
+    }
+    return groups;
+}
+
+/**
+ * Đọc giá trị của cả form, xem `FormBuilder.getValues`
+ * @param {HTMLFormElement} form
+ * @returns {Record<string, any>}
+ */
+function readFormValues(form) {
+    const values = {};
+    for (const [name, controls] of groupControls(form, false)) {
+        values[name] = readControlValue(controls);
+    }
+    return values;
+}
+
+/**
+ * Đọc giá trị của một nhóm trường cùng tên
+ * @param {(HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement)[]} controls
+ * @returns {any}
+ */
+function readControlValue(controls) {
+    const [first] = controls;
+    if (first.type === "radio") {
+        return controls.find(control => /** @type {HTMLInputElement} */ (control).checked)?.value ?? null;
+    }
+    if (first.type === "checkbox") {
+        const checkboxes = /** @type {HTMLInputElement[]} */ (controls);
+        return checkboxes.length > 1
+            ? checkboxes.filter(checkbox => checkbox.checked).map(checkbox => checkbox.value)
+            : checkboxes[0].checked;
+    }
+
+    const values = controls.map(readSingleValue);
+    return values.length > 1 ? values : values[0];
+}
+
+/**
+ * Đọc giá trị đã chuyển kiểu của một trường
+ * @param {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement} control
+ * @returns {any}
+ */
+function readSingleValue(control) {
+    const { type, value } = control;
+    switch (type) {
+        case "number":
+        case "range":
+            return value === "" ? null : Number(value);
+        case "date":
+        case "month":
+            return value ? new Date(`${type === "month" ? `${value}-01` : value}T00:00`) : null;
+        case "datetime-local":
+            return value ? new Date(value) : null;
+        case "select-multiple":
+            return [.../** @type {HTMLSelectElement} */ (control).options].filter(option => option.selected).map(option => option.value);
+        case "file": {
+            const files = [.../** @type {HTMLInputElement} */ (control).files ?? []];
+            return /** @type {HTMLInputElement} */ (control).multiple ? files : files[0] ?? null;
+        }
+        default:
+            return value;
+    }
+}
+
+/**
+ * Ghi giá trị vào một nhóm trường cùng tên
+ * @param {(HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement)[]} controls
+ * @param {any} value
+ */
+function writeControlValue(controls, value) {
+    const [first] = controls;
+    if (first.type === "radio" || first.type === "checkbox") {
+        const selected = Array.isArray(value) ? value.map(String) : null;
+        /** @type {HTMLInputElement[]} */ (controls).forEach(input => {
+            input.checked = selected ? selected.includes(input.value) :
+                input.type === "radio" ? input.value === String(value) : !!value;
+        });
+        return;
+    }
+
+    if (controls.length > 1 && Array.isArray(value)) controls.forEach((control, index) => writeSingleValue(control, value[index]));
+    else controls.forEach(control => writeSingleValue(control, value));
+}
+
+/**
+ * Ghi giá trị vào một trường
+ * @param {HTMLInputElement | HTMLSelectElement | HTMLTextAreaElement | HTMLButtonElement} control
+ * @param {any} value
+ */
+function writeSingleValue(control, value) {
+    if (control.type === "select-multiple") {
+        const selected = [value ?? []].flat().map(String);
+        [.../** @type {HTMLSelectElement} */ (control).options].forEach(option => option.selected = selected.includes(option.value));
+        return;
+    }
+    if (control.type === "file") {
+        if (value !== null && value !== undefined) {
+            throw new Error(`DOMBuilder error: Không thể ghi giá trị vào trường file '${control.name}', chỉ có thể xóa bằng null.`);
+        }
+        control.value = "";
+        return;
+    }
+    control.value = toInputString(control.type, value);
+}
+
+/**
+ * Chuyển giá trị có kiểu thành chuỗi giá trị của input, `Date` được định dạng theo giờ địa phương
+ * @param {string} type - Loại input
+ * @param {any} value
+ * @returns {string}
+ */
+function toInputString(type, value) {
+    if (value === null || value === undefined) return "";
+    if (!(value instanceof Date)) return String(value);
+    if (type === "time") {
+        throw new Error("DOMBuilder error: Trường 'time' chỉ nhận giá trị dạng chuỗi 'HH:mm', không nhận Date.");
+    }
+
+    const pad = number => String(number).padStart(2, "0");
+    const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    const time = `${pad(value.getHours())}:${pad(value.getMinutes())}${value.getSeconds() ? `:${pad(value.getSeconds())}` : ""}`;
+    switch (type) {
+        case "month": return date.slice(0, 7);
+        case "datetime-local": return `${date}T${time}`;
+        default: return date;
+    }
+}
+
+/**
+ * @typedef {{
+ *   event: string,
+ *   selector: string | null,
+ *   listener: Function,
+ *   capture: boolean,
+ *   options: AddEventListenerOptions,
+ *   once: boolean,
+ *   handler: (event: Event) => void
+ * }} ListenerEntry
+ * - `options`, `once`: tham số khi gắn, dùng để gắn lại listener lên element khác khi `hydrate`
+ * - `handler`: hàm thực sự được gắn vào element, bọc `listener` để xử lý delegation và `once`
+ */
+
+/**
+ * Listener và hàm dọn dẹp của từng element, dùng chung cho mọi builder của element đó
+ * - `bindings`: các `Signal` theo vị trí được gắn (ví dụ `'text'`, `'attr:href'`), gắn lại cùng vị trí sẽ hủy signal cũ
+ * @type {WeakMap<Element, {
+ *   controller: AbortController,
+ *   listeners: ListenerEntry[],
+ *   cleanups: (() => void)[],
+ *   bindings: Map<string | symbol, { signal: Signal<any>, apply: (value: any, target: Element) => void, release: () => void }>
+ * }>}
+ */
+const listenerRegistries = new WeakMap();
+
+/**
+ * Các element tự động dispose khi bị gỡ khỏi document
+ * @type {WeakSet<Element>}
+ */
+const autoDisposeElements = new WeakSet();
+
+/**
+ * @type {MutationObserver | null}
+ */
+let removalObserver = null;
+
+/**
+ * @param {Element} element
+ */
+function getListenerRegistry(element) {
+    let registry = listenerRegistries.get(element);
+    if (!registry) {
+        registry = { controller: new AbortController(), listeners: [], cleanups: [], bindings: new Map() };
+        listenerRegistries.set(element, registry);
+    }
+    return registry;
+}
+
+/**
+ * Chuẩn hóa tham số của `on`, `once`, `off` thành `[selector, listener, options]`
+ * @param {string | Function | undefined} selectorOrListener
+ * @param {Function | boolean | AddEventListenerOptions | undefined} listenerOrOptions
+ * @param {boolean | AddEventListenerOptions | undefined} options
+ * @returns {[string | null, Function | undefined, AddEventListenerOptions]}
+ */
+function parseListenerArgs(selectorOrListener, listenerOrOptions, options) {
+    const [selector, listener, rawOptions] = typeof selectorOrListener === "string"
+        ? [selectorOrListener, listenerOrOptions, options]
+        : [null, selectorOrListener, listenerOrOptions];
+    if (listener !== undefined && typeof listener !== "function") {
+        throw new Error("DOMBuilder error: Listener truyền vào 'on', 'once', 'off' phải là một hàm.");
+    }
+    return [selector, /** @type {Function | undefined} */ (listener), typeof rawOptions === "boolean" ? { capture: rawOptions } : rawOptions ?? {}];
+}
+
+/**
+ * @param {Element} element
+ * @param {string} event
+ * @param {string | null} selector
+ * @param {Function | undefined} listener
+ * @param {AddEventListenerOptions} options
+ * @param {boolean} once
+ */
+function addTrackedListener(element, event, selector, listener, listenerOptions, once) {
+    const { once: optionOnce = false, signal, ...options } = listenerOptions;
+    if (!listener) {
+        throw new Error(`DOMBuilder error: Thiếu listener cho sự kiện '${event}'.`);
+    }
+    if (signal?.aborted) return;
+
+    const registry = getListenerRegistry(element);
+    /** @type {ListenerEntry} */
+    const entry = {
+        event,
+        selector,
+        listener,
+        capture: !!options.capture,
+        options: listenerOptions,
+        once,
+        handler: ev => {
+            let matched = element;
+            if (selector) {
+                matched = ev.target instanceof Element ? ev.target.closest(selector) : null;
+                if (!matched || !element.contains(matched)) return;
+            }
+            if (once || optionOnce) removeTrackedListener(element, entry);
+            listener.call(matched, ev, matched);
+        },
+    };
+
+    registry.listeners.push(entry);
+    element.addEventListener(event, entry.handler, { ...options, signal: registry.controller.signal });
+    signal?.addEventListener("abort", () => removeTrackedListener(element, entry), { once: true });
+}
+
+/**
+ * @param {Element} element
+ * @param {ListenerEntry} entry
+ */
+function removeTrackedListener(element, entry) {
+    const registry = listenerRegistries.get(element);
+    const index = registry?.listeners.indexOf(entry) ?? -1;
+    if (index < 0) return;
+
+    registry.listeners.splice(index, 1);
+    element.removeEventListener(entry.event, entry.handler, entry.capture);
+}
+
+/**
+ * Gỡ mọi listener đã theo dõi của một element qua `AbortController` và chạy các hàm dọn dẹp
+ * @param {Element} element
+ */
+function disposeElement(element) {
+    const registry = listenerRegistries.get(element);
+    if (!registry) return;
+
+    listenerRegistries.delete(element);
+    registry.controller.abort();
+    registry.bindings.forEach(({ release }) => release());
+    registry.cleanups.forEach(cleanup => cleanup());
+}
+
+/**
+ * Áp dụng giá trị tĩnh hoặc `Signal` lên element qua `apply`, signal được theo dõi tới khi element bị dispose
+ * @param {Element} element
+ * @param {string | null} slot - Vị trí được gắn, giá trị mới ở cùng vị trí sẽ hủy signal cũ; `null` nếu không thay thế nhau (ví dụ `classes`)
+ * @param {any} value - Giá trị tĩnh hoặc `Signal`
+ * @param {(value: any, target: Element) => void} apply - Chỉ thao tác trên `target` để binding có thể được chuyển sang element khác khi `hydrate`
+ */
+function bindValue(element, slot, value, apply) {
+    const bindings = listenerRegistries.get(element)?.bindings;
+    if (slot !== null && bindings?.has(slot)) {
+        bindings.get(slot).release();
+        bindings.delete(slot);
+    }
+
+    if (!(value instanceof Signal)) {
+        apply(value, element);
+        return;
+    }
+    apply(value.value, element);
+    const release = value.subscribe(next => apply(next, element));
+    getListenerRegistry(element).bindings.set(slot ?? Symbol(), { signal: value, apply, release });
+}
+
+/**
+ * Ghép element do server render với element tương ứng của cây mới build, xem `DOMBuilder.hydrate`
+ * @param {Element} element - Element có sẵn trong trang
+ * @param {Element} fresh - Element của cây mới build
+ * @returns {Element} - Element được giữ lại trong trang
+ */
+function adoptElement(element, fresh) {
+    if (element.localName !== fresh.localName || element.namespaceURI !== fresh.namespaceURI) {
+        DOMBuilder.LOG && console.error(`*DOMBuilder log debug: hydrate thay <${element.localName}> bằng <${fresh.localName}> do không khớp thẻ.`);
+        element.replaceWith(fresh);
+        return fresh;
+    }
+
+    transferTracking(fresh, element);
+
+    const children = [...element.children];
+    const freshChildren = [...fresh.children];
+    if (children.length !== freshChildren.length) {
+        DOMBuilder.LOG && console.error(
+            `*DOMBuilder log debug: hydrate thay phần tử con của <${element.localName}> do số element con không khớp (${children.length} / ${freshChildren.length}).`
+        );
+        element.replaceChildren(...fresh.childNodes);
+        return element;
+    }
+    children.forEach((child, index) => adoptElement(child, freshChildren[index]));
+    return element;
+}
+
+/**
+ * Chuyển listener, `Signal`, hàm dọn dẹp, quy tắc kiểm tra, `autoDispose` và ảnh dự phòng từ một element sang element khác
+ * @param {Element} from
+ * @param {Element} to
+ */
+function transferTracking(from, to) {
+    const registry = listenerRegistries.get(from);
+    if (registry) {
+        listenerRegistries.delete(from);
+        registry.controller.abort();
+        registry.listeners.forEach(entry => addTrackedListener(to, entry.event, entry.selector, entry.listener, entry.options, entry.once));
+        registry.bindings.forEach(({ signal, apply, release }, slot) => {
+            release();
+            bindValue(to, slot, signal, apply);
+        });
+        getListenerRegistry(to).cleanups.push(...registry.cleanups);
+    }
+
+    const rules = validationRules.get(from);
+    if (rules) /** @type {any} */ (DOMBuilder.fromElement(/** @type {any} */ (to))).rules(rules);
+    if (autoDisposeElements.has(from)) DOMBuilder.fromElement(/** @type {any} */ (to)).autoDispose();
+
+    if (fallbackImages.has(from)) {
+        // Listener `error` đã được chuyển cùng các listener khác, ảnh của server có thể đã lỗi trước khi hydrate
+        fallbackImages.delete(from);
+        fallbackImages.add(to);
+        if (imageFailed(/** @type {HTMLImageElement} */ (to))) applyImageFallback(/** @type {HTMLImageElement} */ (to));
+    }
+}
+
+/**
+ * Bắt đầu theo dõi việc gỡ node khỏi document (một observer dùng chung cho mọi element `autoDispose`)
+ */
+function observeRemovals() {
+    if (removalObserver) return;
+
+    removalObserver = new MutationObserver(mutations => {
+        for (const { removedNodes } of mutations) {
+            for (const node of removedNodes) {
+                // Node đã được chèn lại vào document (di chuyển) thì bỏ qua
+                if (!(node instanceof Element) || node.isConnected) continue;
+                [node, ...node.querySelectorAll("*")]
+                    .filter(element => autoDisposeElements.has(element))
+                    .forEach(element => DOMBuilder.fromElement(/** @type {any} */ (element)).dispose());
+            }
+        }
+    });
+    removalObserver.observe(document, { childList: true, subtree: true });
+}
+
+/**
+ * Chuyển các giá trị phần tử con thành danh sách node để thêm vào element
+ * @param {BuilderChild[]} children
+ * @returns {(Node | string)[]}
+ */
+function toNodes(children) {
+    return children.flat(Infinity).flatMap(child => {
+        if (child === null || child === undefined || typeof child === "boolean") return [];
+        if (child instanceof DOMBuilder) return [child.export()];
+        if (typeof child === "string" || typeof child?.nodeType === "number") return [child];
+        if (typeof child === "number") return [String(child)];
+
+        throw new Error(`DOMBuilder error: Phần tử con không hợp lệ: ${Object.prototype.toString.call(child)}.`);
+    });
+}
+
+/**
+ * Kiểm tra giá trị có phải object thuần (dùng làm object thuộc tính) hay không
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+    if (value === null || typeof value !== "object") return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+}
+
+/**
+ * Chuỗi HTML đáng tin cậy được tạo bởi `DOMBuilder.html`, không bị lọc lại khi chèn vào element
+ */
+class SafeHtml {
+    /**
+     * @readonly
+     * @type {string}
+     */
+    html;
+
+    /**
+     * @param {string} html
+     */
+    constructor(html) {
+        this.html = html;
+    }
+
+    toString() {
+        return this.html;
+    }
+}
+
+/**
+ * Escape một giá trị được chèn vào `DOMBuilder.html`
+ * @param {any} value
+ * @returns {string}
+ */
+function escapeValue(value) {
+    if (value === null || value === undefined || value === false) return "";
+    if (value instanceof SafeHtml) return value.html;
+    if (Array.isArray(value)) return value.map(escapeValue).join("");
+
+    return String(value).replace(/[&<>"'`]/g, char => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * Phân tích chuỗi HTML thành fragment để chèn vào element, lọc bằng `DOMBuilder.sanitizer` (nếu có) khi không phải `SafeHtml`
+ * - Với `VirtualDocument`, chuỗi HTML không được phân tích mà được serialize nguyên bản, vì vậy chỉ chấp nhận HTML đáng tin cậy
+ * @param {string | SafeHtml} html
+ * @param {Document | VirtualDocument} ownerDocument - Document của element sẽ chứa HTML
+ * @returns {DocumentFragment}
+ */
+function parseHtml(html, ownerDocument) {
+    const trusted = html instanceof SafeHtml || !DOMBuilder.sanitizer;
+    if (ownerDocument instanceof VirtualDocument) {
+        if (!trusted) {
+            throw new Error("DOMBuilder error: Không thể lọc chuỗi HTML khi render không có DOM, hãy dùng 'DOMBuilder.html' hoặc 'setText'.");
+        }
+        const fragment = ownerDocument.createDocumentFragment();
+        fragment.append(ownerDocument.createRawHtml(String(html)));
+        return /** @type {any} */ (fragment);
+    }
+    if (!trusted) {
+        return DOMBuilder.sanitizer.sanitize(String(html), ownerDocument);
+    }
+
+    const template = ownerDocument.createElement("template");
+    template.innerHTML = String(html);
+    return template.content;
+}
@@ -0,0 +1,146 @@
+/**
+ * @template {object} T
+ * - Bọc mảng dữ liệu (và tùy chọn từng phần tử) của `ListView` bằng `Proxy` để phát hiện thay đổi
+ * - Cảnh báo:
+ *      - Ở chế độ `deep`, phần tử được thay bằng proxy của nó, các method truy cập private fields (#) sẽ lỗi khi gọi qua proxy.
+ *      - Chỉ theo dõi thuộc tính cấp một của phần tử, thay đổi bên trong object lồng nhau (`item.author.name = ...`) không được phát hiện.
+ */
+export default class ObservableCollection {
+    /**
+     * @private
+     * @type {boolean}
+     * - Có theo dõi thuộc tính của từng phần tử hay không
+     */
+    _deep;
+
+    /**
+     * @private
+     * @type {(value: any, index: number) => void}
+     * - Hàm kiểm tra phần tử mới được gán vào mảng, ném lỗi nếu không hợp lệ
+     */
+    _validate;
+
+    /**
+     * @private
+     * @type {() => void}
+     * - Được gọi khi cấu trúc mảng thay đổi (thêm, xóa, đổi thứ tự phần tử)
+     */
+    _onStructureChange;
+
+    /**
+     * @private
+     * @type {(item: T) => void}
+     * - Được gọi khi một thuộc tính của phần tử thay đổi (chỉ ở chế độ `deep`)
+     */
+    _onItemChange;
+
+    /**
+     * @private
+     * @type {WeakSet<T>}
+     * - Các proxy phần tử đã được tạo
+     */
+    _itemProxies = new WeakSet();
+
+    /**
+     * @private
+     * @type {WeakMap<T, T>}
+     * - Proxy đã tạo cho từng phần tử gốc, đảm bảo mỗi phần tử chỉ có một proxy
+     */
+    _proxyByItem = new WeakMap();
+
+    /**
+     * Mảng gốc đang được theo dõi
+     * @type {T[]}
+     */
+    target = [];
+
+    /**
+     * Proxy của mảng đang được theo dõi
+     * @type {T[]}
+     */
+    proxy = [];
+
+    /**
+     * @param {{
+     *   deep: boolean,
+     *   validate: (value: any, index: number) => void,
+     *   onStructureChange: () => void,
+     *   onItemChange: (item: T) => void
+     * }} options
+     */
+    constructor({ deep, validate, onStructureChange, onItemChange }) {
+        this._deep = deep;
+        this._validate = validate;
+        this._onStructureChange = onStructureChange;
+        this._onItemChange = onItemChange;
+    }
+
+    /**
+     * Bắt đầu theo dõi một mảng, ở chế độ `deep` các phần tử trong mảng được thay bằng proxy của chúng
+     * @param {T[]} array
+     * @returns {T[]} - Proxy của mảng, mọi thay đổi phải thực hiện qua proxy này để được phát hiện
+     */
+    observe(array) {
+        if (this._deep) {
+            array.forEach((item, index) => array[index] = this.observeItem(item));
+        }
+
+        this.target = array;
+        this.proxy = new Proxy(array, {
+            set: (target, property, value, receiver) => {
+                if (isArrayIndex(property)) {
+                    this._validate(value, Number(property));
+                    value = this.observeItem(value);
+                }
+                const changed = target[property] !== value;
+                const result = Reflect.set(target, property, value, receiver);
+                if (changed) this._onStructureChange();
+                return result;
+            },
+            deleteProperty: (target, property) => {
+                const result = Reflect.deleteProperty(target, property);
+                if (isArrayIndex(property)) this._onStructureChange();
+                return result;
+            },
+        });
+        return this.proxy;
+    }
+
+    /**
+     * Trả về proxy theo dõi thuộc tính của phần tử (chỉ ở chế độ `deep`), ngược lại trả về chính phần tử
+     * @param {T} item
+     * @returns {T}
+     */
+    observeItem(item) {
+        if (!this._deep || item === null || typeof item !== "object" || this._itemProxies.has(item)) return item;
+
+        let proxy = this._proxyByItem.get(item);
+        if (!proxy) {
+            proxy = new Proxy(item, {
+                set: (target, property, value) => {
+                    const changed = target[property] !== value;
+                    const result = Reflect.set(target, property, value);
+                    if (changed) this._onItemChange(proxy);
+                    return result;
+                },
+                deleteProperty: (target, property) => {
+                    const result = Reflect.deleteProperty(target, property);
+                    this._onItemChange(proxy);
+                    return result;
+                },
+            });
+            this._proxyByItem.set(item, proxy);
+            this._itemProxies.add(proxy);
+        }
+        return proxy;
+    }
+}
+
+/**
+ * - Kiểm tra tên thuộc tính có phải là index của mảng hay không
+ * @param {string | symbol} property
+ * @returns {boolean}
+ */
+function isArrayIndex(property) {
+    return typeof property === "string" && String(Number(property) >>> 0) === property;
+}
@@ -0,0 +1,164 @@
+/**
+ * @typedef {{
+ *   type: 'text' | 'html' | 'show' | 'attr' | 'class',
+ *   name: string,
+ *   attribute: string,
+ *   segments: string[],
+ *   negate: boolean
+ * }} Binding
+ * - `name`: tên thuộc tính HTML (với `attr`) hoặc tên class (với `class`)
+ * - `attribute`: thuộc tính binding gốc trong mẫu, dùng cho thông báo lỗi (ví dụ `lv-text="author.name"`)
+ * - `segments`: đường dẫn tới giá trị trong dữ liệu, tách theo dấu chấm
+ * - `negate`: biểu thức có tiền tố `!`
+ */
+
+/**
+ * @template T
+ * - Binding khai báo trực tiếp trong mẫu của `ListView`, ví dụ:
+ *      - `lv-text="title"`: đặt `textContent`
+ *      - `lv-html="content"`: đặt `innerHTML`
+ *      - `lv-attr-href="url"`: đặt thuộc tính `href` (`null`, `undefined`, `false` sẽ gỡ thuộc tính, `true` đặt thuộc tính rỗng)
+ *      - `lv-class-active="isActive"`: bật/tắt class `active`
+ *      - `lv-show="visible"`: ẩn phần tử bằng `display: none` khi giá trị là falsy
+ * - Giá trị là đường dẫn thuộc tính, hỗ trợ dấu chấm (`author.name`) và tiền tố phủ định `!` (`!isRead`)
+ */
+export default class TemplateBinding {
+    /**
+     * @private
+     * @type {{ path: number[], display: string, bindings: Binding[] }[]}
+     * - Các phần tử có binding, được xác định bằng vị trí con lần lượt tính từ gốc của mẫu
+     */
+    _targets = [];
+
+    /**
+     * @private
+     * @type {WeakMap<HTMLElement, HTMLElement[]>}
+     * - Các phần tử có binding của từng dòng, được tìm một lần khi dòng vừa được tạo từ mẫu
+     */
+    _resolvedTargets = new WeakMap();
+
+    /**
+     * Phân tích các thuộc tính binding trong mẫu, sau đó gỡ chúng khỏi mẫu để không xuất hiện trên giao diện
+     * @param {HTMLElement} template - Mẫu HTML
+     * @param {string} prefix - Tiền tố của thuộc tính binding, ví dụ `'lv-'`
+     */
+    constructor(template, prefix) {
+        const visit = (element, path) => {
+            const bindings = [];
+            for (const { name, value } of [...element.attributes]) {
+                const binding = parseBinding(name, value, prefix);
+                if (!binding) continue;
+                bindings.push(binding);
+                element.removeAttribute(name);
+            }
+            if (bindings.length) this._targets.push({ path, display: element.style.display, bindings });
+
+            [...element.children].forEach((child, index) => visit(child, [...path, index]));
+        };
+        visit(template, []);
+    }
+
+    /**
+     * Mẫu không chứa binding nào
+     * @returns {boolean}
+     */
+    get isEmpty() {
+        return this._targets.length === 0;
+    }
+
+    /**
+     * Áp dụng các binding lên một dòng đã được tạo từ mẫu
+     * @param {HTMLElement} root - Phần tử gốc của dòng
+     * @param {T} data - Dữ liệu của dòng
+     * @param {number} index - Vị trí của dòng, dùng cho thông báo lỗi
+     */
+    bind(root, data, index) {
+        if (this.isEmpty) return;
+
+        let elements = this._resolvedTargets.get(root);
+        if (!elements) {
+            elements = this._targets.map(({ path }) => path.reduce((element, childIndex) => element.children[childIndex], root));
+            this._resolvedTargets.set(root, elements);
+        }
+
+        this._targets.forEach(({ display, bindings }, targetIndex) => {
+            const element = elements[targetIndex];
+            bindings.forEach(binding => {
+                const value = resolve(binding, data, index);
+                switch (binding.type) {
+                    case "text":
+                        element.textContent = value ?? "";
+                        break;
+                    case "html":
+                        element.innerHTML = value ?? "";
+                        break;
+                    case "show":
+                        element.style.display = value ? display : "none";
+                        break;
+                    case "class":
+                        element.classList.toggle(binding.name, !!value);
+                        break;
+                    case "attr":
+                        if (value === null || value === undefined || value === false) element.removeAttribute(binding.name);
+                        else element.setAttribute(binding.name, value === true ? "" : String(value));
+                        break;
+                }
+            });
+        });
+    }
+}
+
+/**
+ * - Phân tích một thuộc tính của mẫu thành binding, trả về `null` nếu không phải thuộc tính binding
+ * @param {string} name - Tên thuộc tính
+ * @param {string} value - Giá trị thuộc tính
+ * @param {string} prefix - Tiền tố của thuộc tính binding
+ * @returns {Binding | null}
+ */
+function parseBinding(name, value, prefix) {
+    if (!name.startsWith(prefix)) return null;
+
+    const directive = name.slice(prefix.length);
+    let type;
+    let targetName = "";
+
+    if (directive === "text" || directive === "html" || directive === "show") {
+        type = directive;
+    } else if (directive.startsWith("attr-") || directive.startsWith("class-")) {
+        type = directive.startsWith("attr-") ? "attr" : "class";
+        targetName = directive.slice(type.length + 1);
+    } else {
+        return null;
+    }
+
+    const attribute = `${name}="${value}"`;
+    const expression = value.trim();
+    const negate = expression.startsWith("!");
+    const segments = (negate ? expression.slice(1) : expression).trim().split(".");
+
+    if (!targetName && (type === "attr" || type === "class") || segments.some(segment => !segment)) {
+        throw new Error(`ListView error: Binding '${attribute}' trong mẫu không hợp lệ.`);
+    }
+
+    return { type, name: targetName, attribute, segments, negate };
+}
+
+/**
+ * - Lấy giá trị của binding từ dữ liệu, báo lỗi nếu đường dẫn trỏ tới thuộc tính không tồn tại
+ * @param {Binding} binding
+ * @param {any} data
+ * @param {number} index - Vị trí của dòng, dùng cho thông báo lỗi
+ * @returns {any}
+ */
+function resolve(binding, data, index) {
+    let value = data;
+    for (const segment of binding.segments) {
+        if (value === null || value === undefined || !(segment in Object(value))) {
+            throw new Error(
+                `ListView error: Binding '${binding.attribute}' của phần tử tại index ${index} tham chiếu tới thuộc tính không tồn tại '${segment}'.`
+            );
+        }
+        value = value[segment];
+    }
+    return binding.negate ? !value : value;
+}
@@ -0,0 +1,141 @@
+/**
+ * @template T
+ * - Bộ tính toán cửa sổ hiển thị cho chế độ cuộn ảo (virtual scrolling) của `ListView`
+ * - Chỉ làm việc với số liệu (chiều cao, vị trí), không thao tác DOM
+ */
+export default class VirtualViewport {
+    /**
+     * @private
+     * @type {number | null}
+     * - Chiều cao cố định của mỗi dòng (px), `null` nghĩa là chiều cao thay đổi và được đo sau khi render
+     */
+    _itemHeight = null;
+
+    /**
+     * @private
+     * @type {number}
+     * - Chiều cao ước lượng (px) cho những dòng chưa được đo
+     */
+    _estimatedItemHeight;
+
+    /**
+     * @type {number}
+     * - Số dòng render thêm phía trên và phía dưới vùng nhìn thấy
+     */
+    overscan;
+
+    /**
+     * @private
+     * @type {WeakMap<T, number>}
+     * - Chiều cao đã đo được của từng phần tử dữ liệu
+     */
+    _measuredHeights = new WeakMap();
+
+    /**
+     * @param {{ itemHeight?: number, estimatedItemHeight?: number, overscan?: number }} options
+     */
+    constructor({ itemHeight, estimatedItemHeight = 40, overscan = 5 } = {}) {
+        if (itemHeight !== undefined && !(itemHeight > 0)) {
+            throw new Error("ListView error: 'itemHeight' của chế độ virtual phải là số dương.");
+        }
+        if (!(estimatedItemHeight > 0)) {
+            throw new Error("ListView error: 'estimatedItemHeight' của chế độ virtual phải là số dương.");
+        }
+        if (!Number.isInteger(overscan) || overscan < 0) {
+            throw new Error("ListView error: 'overscan' của chế độ virtual phải là số nguyên không âm.");
+        }
+
+        this._itemHeight = itemHeight ?? null;
+        this._estimatedItemHeight = estimatedItemHeight;
+        this.overscan = overscan;
+    }
+
+    /**
+     * Các dòng có chiều cao cố định hay không
+     * @returns {boolean}
+     */
+    get isFixed() {
+        return this._itemHeight !== null;
+    }
+
+    /**
+     * Chiều cao (px) đang dùng cho một phần tử: cố định, đã đo hoặc ước lượng
+     * @param {T} data
+     * @returns {number}
+     */
+    heightOf(data) {
+        return this._itemHeight ?? this._measuredHeights.get(data) ?? this._estimatedItemHeight;
+    }
+
+    /**
+     * Ghi nhận chiều cao thực tế của một phần tử sau khi render
+     * @param {T} data
+     * @param {number} height
+     * @returns {boolean} - `true` nếu chiều cao khác với giá trị đang dùng
+     */
+    measure(data, height) {
+        if (this.isFixed) return false;
+
+        const changed = this.heightOf(data) !== height;
+        this._measuredHeights.set(data, height);
+        return changed;
+    }
+
+    /**
+     * Vị trí (px) của mép trên phần tử tại `index`
+     * @param {T[]} items
+     * @param {number} index
+     * @returns {number}
+     */
+    offsetOf(items, index) {
+        if (this.isFixed) return index * this._itemHeight;
+
+        let offset = 0;
+        for (let i = 0; i < index; i++) offset += this.heightOf(items[i]);
+        return offset;
+    }
+
+    /**
+     * Xác định các phần tử cần render cho vùng nhìn thấy hiện tại, đã cộng thêm `overscan`
+     * @param {T[]} items
+     * @param {number} scrollTop - Vị trí cuộn hiện tại của viewport
+     * @param {number} viewportHeight - Chiều cao vùng nhìn thấy
+     * @returns {{ start: number, end: number, offsetTop: number, offsetBottom: number }}
+     * - `start`, `end`: khoảng index `[start, end)` cần render
+     * - `offsetTop`, `offsetBottom`: chiều cao của phần bị bỏ qua phía trên và phía dưới
+     */
+    computeWindow(items, scrollTop, viewportHeight) {
+        const count = items.length;
+        const viewportBottom = scrollTop + viewportHeight;
+        let start;
+        let end;
+
+        if (this.isFixed) {
+            start = Math.floor(scrollTop / this._itemHeight);
+            end = Math.ceil(viewportBottom / this._itemHeight);
+        } else {
+            let offset = 0;
+            start = 0;
+            while (start < count && offset + this.heightOf(items[start]) <= scrollTop) {
+                offset += this.heightOf(items[start]);
+                start++;
+            }
+            end = start;
+            while (end < count && offset < viewportBottom) {
+                offset += this.heightOf(items[end]);
+                end++;
+            }
+        }
+
+        start = Math.max(0, Math.min(start - this.overscan, count));
+        end = Math.max(start, Math.min(end + this.overscan, count));
+
+        const offsetTop = this.offsetOf(items, start);
+        return {
+            start,
+            end,
+            offsetTop,
+            offsetBottom: this.offsetOf(items, count) - this.offsetOf(items, end),
+        };
+    }
+}
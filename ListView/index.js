@@ -1,3 +1,66 @@
+import VirtualViewport from "./VirtualViewport.js";
+import TemplateBinding from "./TemplateBinding.js";
+import ObservableCollection from "./ObservableCollection.js";
+
+/**
+ * @template T
+ * @typedef {{ key: any, element: HTMLElement, data: T, template: string }} ListRow
+ * - `key`: khóa do `keyBy` trả về, hoặc chính object dữ liệu khi chưa thiết lập `keyBy`
+ * - `template`: tên mẫu đã dùng để tạo dòng
+ */
+
+/**
+ * @typedef {'beforeItemAdded' | 'afterItemAdded' | 'beforeItemRemoved' | 'afterItemRemoved' | 'afterItemUpdated'
+ *   | 'selectionChanged' | 'beforeRender' | 'afterRender' | 'renderProgress' | 'renderError' | 'reorder'} ListViewEvent
+ * - Các sự kiện vòng đời có thể đăng ký bằng `on`:
+ *      - `beforeItemAdded`, `afterItemAdded`, `beforeItemRemoved`, `afterItemRemoved`, `afterItemUpdated`: `(item: HTMLElement, data: T)`
+ *      - `selectionChanged`: `(selection: T[])`
+ *      - `beforeRender`, `afterRender`: `()`
+ *      - `renderProgress`: `(rendered: number, total: number)`, sau mỗi phần được render ở chế độ `chunked`
+ *      - `renderError`: `(error: any)`, lỗi vẫn được ném tiếp sau khi gọi các listener (trừ lỗi ở các phần sau của chế độ `chunked`)
+ *      - `reorder`: `(from: number, to: number, data: T)`, sau khi người dùng kéo thả hoặc dùng bàn phím đổi vị trí một dòng
+ * (`dataCollection` đã được cập nhật)
+ */
+
+/**
+ * - Field lưu callback được cài đặt qua các phương thức `...Call` của từng sự kiện
+ * @type {Partial<Record<ListViewEvent, string>>}
+ */
+const HOOK_FIELDS = {
+    beforeItemAdded: "_beforeItemAdded",
+    afterItemAdded: "_afterItemAdded",
+    beforeItemRemoved: "_beforeItemRemoved",
+    afterItemUpdated: "_afterItemUpdated",
+    selectionChanged: "_selectionChanged",
+    beforeRender: "_beforeRender",
+    afterRender: "_afterRender",
+};
+
+/**
+ * - Tên các sự kiện vòng đời hợp lệ
+ * @type {Set<ListViewEvent>}
+ */
+const EVENTS = new Set([...Object.keys(HOOK_FIELDS), "afterItemRemoved", "renderProgress", "renderError", "reorder"]);
+
+/**
+ * @template T
+ * @typedef {{ index: number, data: T | null, element: HTMLElement | null, reason: 'missing' | 'extra' | 'template' | 'content' }} HydrationMismatch
+ * - Một điểm không khớp giữa HTML render sẵn từ server và dữ liệu khi `hydrate`:
+ *      - `missing`: không có dòng nào cho phần tử dữ liệu, dòng mới được tạo từ mẫu
+ *      - `extra`: dòng không ứng với phần tử dữ liệu nào, dòng bị gỡ (`index` là vị trí của dòng trong container)
+ *      - `template`: thẻ của dòng khác với mẫu của phần tử, dòng được tạo lại từ mẫu
+ *      - `content`: (chỉ khi `verify`) nội dung dòng khác với kết quả render từ dữ liệu, dòng được tạo lại từ mẫu
+ * - `element` là dòng render sẵn từ server (nếu có)
+ */
+
+/**
+ * @template T
+ * @typedef {{ depth: number, parent: T | null, expandable: boolean, expanded: boolean, loading: boolean, setSize: number, posInSet: number }} TreeNode
+ * - Vị trí của một phần tử trong cây ở chế độ `treeBy`
+ * - `depth`: độ sâu, phần tử của `dataCollection` có độ sâu `0`
+ * - `setSize`, `posInSet`: số phần tử cùng cấp và vị trí (tính từ `1`) của phần tử trong các phần tử cùng cấp
+ */
+
 /**
  * @template T
  * - Thư viện hỗ trợ render danh sách dữ liệu từ mẫu HTML và dữ liệu.
@@ -17,6 +80,98 @@ export default class ListView {
      */
     static TEMPLATE_ATTRIBUTE = 'lv-template';
 
+    /**
+     * @static
+     * - Tiền tố của các thuộc tính binding khai báo trong mẫu (`lv-text`, `lv-html`, `lv-attr-*`, `lv-class-*`, `lv-show`)
+     * - Có thể thay đổi nhằm mục đích viết tắt hoặc tránh trùng lặp trong trường hợp hy hữu
+     */
+    static BINDING_PREFIX = 'lv-';
+
+    /**
+     * @static
+     * - Thuộc tính đánh dấu phần tử con của container được hiển thị khi danh sách rỗng
+     * - Có thể thay đổi nhằm mục đích viết tắt hoặc tránh trùng lặp trong trường hợp hy hữu
+     */
+    static EMPTY_ATTRIBUTE = 'lv-empty';
+
+    /**
+     * @static
+     * - Thuộc tính đánh dấu phần tử con của container được hiển thị khi đang tải dữ liệu
+     * - Có thể thay đổi nhằm mục đích viết tắt hoặc tránh trùng lặp trong trường hợp hy hữu
+     */
+    static LOADING_ATTRIBUTE = 'lv-loading';
+
+    /**
+     * @static
+     * - Thuộc tính đánh dấu phần tử con của container được hiển thị khi tải dữ liệu lỗi
+     * - Bên trong có thể dùng binding khai báo với dữ liệu `{ message, error }`, ví dụ `lv-text="message"`
+     * - Có thể thay đổi nhằm mục đích viết tắt hoặc tránh trùng lặp trong trường hợp hy hữu
+     */
+    static ERROR_ATTRIBUTE = 'lv-error';
+
+    /**
+     * @static
+     * - Thuộc tính đánh dấu phần tử bên trong mẫu lỗi, khi click sẽ gọi callback thử lại (bị ẩn nếu không có callback)
+     * - Có thể thay đổi nhằm mục đích viết tắt hoặc tránh trùng lặp trong trường hợp hy hữu
+     */
+    static RETRY_ATTRIBUTE = 'lv-retry';
+
+    /**
+     * @static
+     * - Thuộc tính đánh dấu phần tử con của container làm mẫu cho dòng tiêu đề nhóm khi dùng `groupBy`
+     * - Bên trong có thể dùng binding khai báo với dữ liệu `{ key, items }`, ví dụ `lv-text="key"`
+     * - Có thể thay đổi nhằm mục đích viết tắt hoặc tránh trùng lặp trong trường hợp hy hữu
+     */
+    static GROUP_HEADER_ATTRIBUTE = 'lv-group-header';
+
+    /**
+     * @static
+     * - Thuộc tính đánh dấu phần tử bên trong mẫu, khi click sẽ mở/đóng nút tương ứng ở chế độ `treeBy`
+     * - Có thể thay đổi nhằm mục đích viết tắt hoặc tránh trùng lặp trong trường hợp hy hữu
+     */
+    static TOGGLE_ATTRIBUTE = 'lv-toggle';
+
+    /**
+     * @static
+     * - Thuộc tính đặt cho container để giữ lại các dòng đã được render sẵn từ server (thay vì xóa khi khởi tạo), dùng cùng `hydrate`
+     * - Có thể thay đổi nhằm mục đích viết tắt hoặc tránh trùng lặp trong trường hợp hy hữu
+     */
+    static HYDRATE_ATTRIBUTE = 'lv-hydrate';
+
+    /**
+     * @static
+     * - Thuộc tính đặt cho dòng render sẵn từ server, chứa khóa (theo `keyBy`) của phần tử dữ liệu tương ứng
+     * - Có thể thay đổi nhằm mục đích viết tắt hoặc tránh trùng lặp trong trường hợp hy hữu
+     */
+    static KEY_ATTRIBUTE = 'lv-key';
+
+    /**
+     * @static
+     * - Thuộc tính đánh dấu phần tử bên trong mẫu dùng làm tay nắm kéo thả ở chế độ `reorderable`,
+     * khi dòng có tay nắm thì chỉ kéo được dòng từ tay nắm
+     * - Có thể thay đổi nhằm mục đích viết tắt hoặc tránh trùng lặp trong trường hợp hy hữu
+     */
+    static DRAG_HANDLE_ATTRIBUTE = 'lv-drag-handle';
+
+    /**
+     * @static
+     * - Thuộc tính được đặt lên dòng đang được kéo, dùng để định kiểu bằng CSS
+     */
+    static DRAGGING_ATTRIBUTE = 'lv-dragging';
+
+    /**
+     * @static
+     * - Thuộc tính được đặt lên phần tử giữ chỗ cho vị trí thả khi kéo dòng, dùng để định kiểu bằng CSS
+     */
+    static PLACEHOLDER_ATTRIBUTE = 'lv-placeholder';
+
+    /**
+     * @static
+     * - Các class được thêm vào dòng khi chạy hiệu ứng ở chế độ `animate` với `mode: 'css'`
+     * - `enter`: dòng vừa được thêm, `leave`: dòng đang bị gỡ, `move`: dòng đang di chuyển tới vị trí mới
+     */
+    static ANIMATION_CLASSES = { enter: 'lv-enter', leave: 'lv-leave', move: 'lv-move' };
+
     /**
      * @static
      * - Thuộc tính dùng để debug, khi đặt bằng `true`, ListView sẽ log các thông tin chi tiết hơn
@@ -40,10 +195,60 @@ export default class ListView {
     /**
      * @private
      * @type {HTMLElement}
-     * - Mẫu HTML (template) đại diện cho từng phần tử trong danh sách
+     * - Mẫu HTML (template) đại diện cho từng phần tử trong danh sách, là mẫu đầu tiên trong container
      */
     _itemTemplate;
 
+    /**
+     * @private
+     * @type {Map<string, { element: HTMLElement, binding: TemplateBinding<T> }>}
+     * - Các mẫu HTML theo tên (giá trị của thuộc tính `lv-template`), kèm binding khai báo của từng mẫu
+     */
+    _templates = new Map();
+
+    /**
+     * @private
+     * @type {((data: T, index: number) => string) | null}
+     * - Hàm chọn tên mẫu cho từng phần tử, khi chưa thiết lập sẽ luôn dùng mẫu đầu tiên
+     */
+    _templateSelector = null;
+
+    /**
+     * @private
+     * @type {{ element: HTMLElement, binding: TemplateBinding<{ key: any, items: T[] }> } | null}
+     * - Mẫu dòng tiêu đề nhóm được lấy ra từ container khi khởi tạo
+     */
+    _groupHeaderTemplate = null;
+
+    /**
+     * @private
+     * @type {{
+     *   keyExtractor: (data: T) => any,
+     *   headerBinder: ((header: HTMLElement, group: { key: any, items: T[] }) => void) | null,
+     *   headers: { key: any, element: HTMLElement }[]
+     * } | null}
+     * - Cấu hình và các dòng tiêu đề đang hiển thị của chế độ nhóm
+     */
+    _grouping = null;
+
+    /**
+     * @private
+     * @type {{
+     *   getChildren: (data: T) => T[] | Promise<T[]> | null | undefined,
+     *   hasChildren: ((data: T) => boolean) | null,
+     *   indent: number,
+     *   expandedKeys: Set<any>,
+     *   loadedChildren: Map<any, T[]>,
+     *   pending: Map<any, Promise<void>>,
+     *   nodes: Map<T, TreeNode<T>>
+     * } | null}
+     * - Trạng thái của chế độ cây, `null` khi danh sách phẳng
+     * - `expandedKeys` lưu khóa của các nút đang mở nên được giữ nguyên sau khi render lại
+     * - `loadedChildren` lưu danh sách con đã tải xong của các nút có `getChildren` bất đồng bộ
+     * - `nodes` là vị trí trong cây của từng phần tử đang hiển thị, được tính lại mỗi khi danh sách hiển thị thay đổi
+     */
+    _tree = null;
+
     /**
      * @private
      * @type {(template: HTMLElement, data: T) => void}
@@ -51,6 +256,184 @@ export default class ListView {
      */
     _dataBinder = null;
 
+    /**
+     * @private
+     * @type {((data: T) => any) | null}
+     * - Hàm trích xuất khóa định danh của từng phần tử, dùng để đối chiếu danh sách cũ và mới khi render
+     * - Khi chưa thiết lập, mỗi lần render sẽ xóa và dựng lại toàn bộ danh sách
+     */
+    _keyExtractor = null;
+
+    /**
+     * @private
+     * @type {ListRow<T>[]}
+     * - Các dòng đang hiển thị trong container, theo đúng thứ tự trên giao diện
+     */
+    _rows = [];
+
+    /**
+     * @private
+     * @type {{
+     *   viewport: VirtualViewport<T>,
+     *   topSpacer: HTMLElement,
+     *   bottomSpacer: HTMLElement,
+     *   frame: number,
+     *   controller: AbortController,
+     *   resizeObserver: ResizeObserver | null
+     * } | null}
+     * - Trạng thái của chế độ cuộn ảo, `null` khi danh sách render đầy đủ
+     * - Ở chế độ này `_rows` chỉ chứa các dòng thuộc vùng nhìn thấy
+     * - `controller` gỡ listener cuộn của container khi tắt chế độ virtual
+     */
+    _virtual = null;
+
+    /**
+     * @private
+     * @type {{
+     *   chunkSize: number,
+     *   timeBudget: number | null,
+     *   task: { rendered: number, cancel: (() => void) | null, resolve: (completed: boolean) => void, reject: (error: any) => void } | null,
+     *   complete: Promise<boolean>
+     * } | null}
+     * - Trạng thái của chế độ render chia nhỏ, `null` khi `render` tạo toàn bộ dòng trong một lần
+     * - `task` là lần render đang được thực hiện dở, `null` khi không có
+     */
+    _chunking = null;
+
+    /**
+     * @private
+     * @type {{
+     *   autoScrollMargin: number,
+     *   autoScrollSpeed: number,
+     *   drag: {
+     *     row: ListRow<T>,
+     *     pointerId: number,
+     *     startY: number,
+     *     clientY: number,
+     *     from: number,
+     *     to: number,
+     *     top: number,
+     *     style: string,
+     *     placeholder: HTMLElement | null,
+     *     frame: number
+     *   } | null,
+     *   suppressClick: boolean
+     * } | null}
+     * - Trạng thái của chế độ kéo thả đổi vị trí, `null` khi chưa bật `reorderable`
+     * - `drag` là thao tác kéo đang diễn ra, `placeholder` chỉ được tạo khi con trỏ đã di chuyển đủ xa
+     */
+    _reorder = null;
+
+    /**
+     * @private
+     * @type {{
+     *   mode: 'css' | 'waapi',
+     *   duration: number,
+     *   easing: string,
+     *   enter: Keyframe[],
+     *   leave: Keyframe[],
+     *   appear: boolean,
+     *   snapshot: Map<HTMLElement, { rect: DOMRect, top: number, left: number }> | null,
+     *   leaving: ListRow<T>[]
+     * } | null}
+     * - Trạng thái của chế độ hiệu ứng, `null` khi chưa bật `animate`
+     * - `snapshot` là vị trí các dòng ngay trước khi danh sách thay đổi, `null` khi không chạy hiệu ứng cho lần thay đổi này,
+     * `top`, `left` là vị trí tính từ mép trong của container (đã cộng phần đã cuộn)
+     * - `leaving` là các dòng đã bị gỡ khỏi danh sách nhưng vẫn nằm trong DOM chờ chạy hiệu ứng biến mất
+     */
+    _animation = null;
+
+    /**
+     * @private
+     * @type {{
+     *   fetch: (pageOrCursor: any, pageSize: number, signal: AbortSignal) => Promise<any>,
+     *   cursorBased: boolean,
+     *   pageSize: number,
+     *   page: number,
+     *   cursor: any,
+     *   hasMore: boolean,
+     *   requestId: number,
+     *   controller: AbortController | null,
+     *   request: Promise<T[] | null> | null,
+     *   appending: boolean,
+     *   sentinel: HTMLElement | null,
+     *   observer: IntersectionObserver | null
+     * } | null}
+     * - Trạng thái của nguồn dữ liệu bất đồng bộ, `null` khi dữ liệu được cấp trực tiếp qua `setDataCollection`
+     */
+    _dataSource = null;
+
+    /**
+     * @private
+     * @type {{ collection: ObservableCollection<T>, scheduled: boolean, structureChanged: boolean, changedItems: Set<T> } | null}
+     * - Trạng thái của chế độ tự động render khi dữ liệu thay đổi, `null` khi chưa bật `observe`
+     * - Các thay đổi trong cùng một tác vụ được gom lại và xử lý một lần trong microtask
+     */
+    _reactive = null;
+
+    /**
+     * @private
+     * @type {HTMLElement[] | null}
+     * - Các dòng render sẵn từ server đang chờ `hydrate`, `null` khi container không có thuộc tính `lv-hydrate` hoặc đã hydrate xong
+     */
+    _serverRows = null;
+
+    /**
+     * @private
+     * @type {HTMLElement[] | null}
+     * - Các dòng tiêu đề nhóm render sẵn từ server (phần tử mang `lv-group-header` sau mẫu đầu tiên), được ghép với các nhóm khi `hydrate`
+     */
+    _serverHeaders = null;
+
+    /**
+     * @private
+     * @type {{ empty: HTMLElement | null, loading: HTMLElement | null, error: HTMLElement | null }}
+     * - Các phần tử trạng thái được lấy ra từ container khi khởi tạo
+     */
+    _stateElements = { empty: null, loading: null, error: null };
+
+    /**
+     * @private
+     * @type {TemplateBinding<{ message: string, error: any }>}
+     * - Các binding khai báo trong phần tử trạng thái lỗi
+     */
+    _errorBinding;
+
+    /**
+     * @private
+     * @type {{ loading: boolean, error: any, retry: (() => void) | null }}
+     * - Trạng thái tải dữ liệu hiện tại
+     */
+    _loadState = { loading: false, error: null, retry: null };
+
+    /**
+     * @private
+     * @type {HTMLElement | null}
+     * - Phần tử trạng thái đang hiển thị trong container
+     */
+    _stateView = null;
+
+    /**
+     * @private
+     * @type {{
+     *   mode: 'none' | 'single' | 'multiple',
+     *   keys: Set<any>,
+     *   anchorKey: any,
+     *   activeKey: any,
+     *   listening: boolean
+     * }}
+     * - Trạng thái lựa chọn: các khóa dòng đang được chọn, dòng làm mốc cho chọn theo khoảng (shift)
+     * và dòng đang giữ `tabindex="0"` (roving tabindex)
+     */
+    _selection = { mode: "none", keys: new Set(), anchorKey: undefined, activeKey: undefined, listening: false };
+
+    /**
+     * @private
+     * @type {(selection: T[]) => void}
+     * - Hook được gọi sau khi tập phần tử được chọn thay đổi
+     */
+    _selectionChanged;
+
     /**
      * @private
      * @type {T[]}
@@ -58,6 +441,35 @@ export default class ListView {
      */
     dataCollection = [];
 
+    /**
+     * @private
+     * @type {T[]}
+     * - Danh sách đang được render, là kết quả lọc, tìm kiếm và sắp xếp `dataCollection`
+     * - Khi không có điều kiện nào, đây chính là `dataCollection`
+     */
+    _view = this.dataCollection;
+
+    /**
+     * @private
+     * @type {((a: T, b: T) => number) | null}
+     * - Hàm so sánh dùng để sắp xếp danh sách hiển thị
+     */
+    _sortComparator = null;
+
+    /**
+     * @private
+     * @type {((data: T, index: number) => boolean) | null}
+     * - Hàm lọc các phần tử được hiển thị
+     */
+    _filterPredicate = null;
+
+    /**
+     * @private
+     * @type {{ query: string, fields: string[] | null } | null}
+     * - Từ khóa tìm kiếm (đã chuẩn hóa) và các trường được tìm kiếm
+     */
+    _searchQuery = null;
+
     /**
      * @private
      * @type {(item: HTMLElement, data: T) => void}
@@ -72,6 +484,20 @@ export default class ListView {
      */
     _afterItemAdded;
 
+    /**
+     * @private
+     * @type {(item: HTMLElement, data: T) => void}
+     * - Hook được gọi trước khi gỡ một phần tử khỏi danh sách
+     */
+    _beforeItemRemoved;
+
+    /**
+     * @private
+     * @type {(item: HTMLElement, data: T) => void}
+     * - Hook được gọi sau khi một phần tử đang hiển thị được binding lại với dữ liệu mới
+     */
+    _afterItemUpdated;
+
     /**
      * @private
      * @type {() => void}
@@ -86,11 +512,33 @@ export default class ListView {
      */
     _afterRender;
 
+    /**
+     * @private
+     * @type {Map<ListViewEvent, Set<Function>>}
+     * - Các listener đăng ký bằng `on`, được gọi sau callback của phương thức `...Call` tương ứng
+     */
+    _listeners = new Map();
+
+    /**
+     * @private
+     * @type {Map<string, { handlers: Set<(data: T, item: HTMLElement, event: Event) => void>, listener: (event: Event) => void }>}
+     * - Các handler đăng ký bằng `onItem` theo loại sự kiện DOM, mỗi loại chỉ gắn một listener lên container
+     */
+    _itemListeners = new Map();
+
+    /**
+     * @private
+     * @type {AbortController}
+     * - Gỡ mọi listener mà ListView gắn lên container khi gọi `destroy`
+     */
+    _teardown = new AbortController();
+
     /**
      * Khởi tạo một instance của ListView
      * @param {new (...args: any[]) => T} DataType - Lớp định nghĩa kiểu dữ liệu
      * @param {HTMLElement} listContainer - Container chứa danh sách
-     * @param {(template: HTMLElement, data: T) => void} dataBinder - Hàm xử lý binding dữ liệu
+     * @param {(template: HTMLElement, data: T) => void} [dataBinder] - Hàm xử lý binding dữ liệu,
+     * có thể bỏ qua nếu mẫu đã dùng các thuộc tính binding khai báo (`lv-text`, `lv-attr-*`, ...)
      */
     constructor(DataType, listContainer, dataBinder) {
         this._DataType = DataType;
@@ -110,17 +558,34 @@ export default class ListView {
             );
         }
 
+        // Lấy các phần tử trạng thái và mẫu tiêu đề nhóm ra khỏi container
+        this._extractStateElements();
+        const hydrating = listContainer.hasAttribute(ListView.HYDRATE_ATTRIBUTE);
+        if (hydrating) {
+            // Phần tử đầu tiên mang `lv-group-header` là mẫu, các phần tử sau là dòng tiêu đề render sẵn
+            const headers = [...listContainer.children].filter(child => child.hasAttribute(ListView.GROUP_HEADER_ATTRIBUTE));
+            this._serverHeaders = /** @type {HTMLElement[]} */ (headers.slice(1));
+            this._serverHeaders.forEach(header => header.removeAttribute(ListView.GROUP_HEADER_ATTRIBUTE));
+        }
+        const groupHeader = this._extractMarkedChild(ListView.GROUP_HEADER_ATTRIBUTE);
+        if (groupHeader) {
+            this._groupHeaderTemplate = {
+                element: groupHeader,
+                binding: new TemplateBinding(groupHeader, ListView.BINDING_PREFIX),
+            };
+        }
+
         // Kiểm tra số lượng phần tử con trong container
-        if (listContainer.childElementCount > 1) {
+        const unmarkedChildren = [...listContainer.children].filter(child => !child.hasAttribute(ListView.TEMPLATE_ATTRIBUTE));
+        if (!hydrating && unmarkedChildren.length > 0 && listContainer.childElementCount > 1) {
             ListView.LOG && console.warn(
-                `ListView warning: Trong container được cấp có nhiều phần tử con, ListView chỉ lấy phần tử đầu tiên.
+                `ListView warning: Trong container được cấp có phần tử con không được đánh dấu, ListView chỉ lấy các phần tử có thuộc tính '${ListView.TEMPLATE_ATTRIBUTE}'.
                 Xem lại container nếu cần thiết:`, listContainer
             );
         }
 
         // Kiểm tra mẫu HTML
-        this._itemTemplate = this._listContainer.firstElementChild?.cloneNode(true);
-        if (!this._itemTemplate) {
+        if (!this._listContainer.firstElementChild) {
             throw new Error(
                 "ListView error: Không thể tìm thấy mẫu HTML hợp lệ bên trong container. Vui lòng kiểm tra lại."
             );
@@ -138,111 +603,3075 @@ export default class ListView {
         }
 
         // Kiểm tra dataBinder
-        if (typeof dataBinder !== "function") {
+        if (dataBinder !== undefined && typeof dataBinder !== "function") {
             throw new Error("ListView error: 'dataBinder' phải là một hàm hợp lệ.");
         }
 
-        this._dataBinder = dataBinder;
+        this._dataBinder = dataBinder ?? null;
 
-        // Xóa nội dung template khỏi container
-        this._itemTemplate.removeAttribute(ListView.TEMPLATE_ATTRIBUTE);
-        this._listContainer.innerHTML = "";
-    }
+        // Lấy các mẫu theo tên, mẫu không đặt tên có tên là chuỗi rỗng
+        [...listContainer.children].forEach(child => {
+            if (!child.hasAttribute(ListView.TEMPLATE_ATTRIBUTE)) return;
 
-    /**
-     * Thiết lập dữ liệu và render danh sách
-     * @param {T[]} dataCollection - Danh sách dữ liệu
-     */
-    setDataCollection(dataCollection) {
-        if (!Array.isArray(dataCollection)) {
-            throw new Error(
-                `ListView error: Dữ liệu phải là một mảng chứa các phần tử thuộc kiểu '${this._DataType.name}'.`
-            );
+            const name = child.getAttribute(ListView.TEMPLATE_ATTRIBUTE);
+            if (this._templates.has(name)) {
+                throw new Error(`ListView error: Có nhiều mẫu cùng tên '${name}' trong container.`);
+            }
+
+            const element = /** @type {HTMLElement} */ (child.cloneNode(true));
+            element.removeAttribute(ListView.TEMPLATE_ATTRIBUTE);
+            this._templates.set(name, { element, binding: new TemplateBinding(element, ListView.BINDING_PREFIX) });
+        });
+        this._itemTemplate = this._templates.values().next().value.element;
+
+        // Xóa nội dung template khỏi container, khi hydrate thì giữ lại các dòng render sẵn từ server
+        if (hydrating) {
+            [...listContainer.childNodes].forEach(node => {
+                if (!(node instanceof HTMLElement) || node.hasAttribute(ListView.TEMPLATE_ATTRIBUTE)) node.remove();
+            });
+            const serverHeaders = new Set(this._serverHeaders);
+            this._serverRows = /** @type {HTMLElement[]} */ ([...listContainer.children].filter(child => !serverHeaders.has(child)));
+        } else {
+            this._listContainer.innerHTML = "";
         }
-        this.dataCollection = dataCollection;
-        this.render();
     }
 
     /**
-     * Cài đặt callback cho sự kiện trước khi thêm một phần tử vào giao diện
-     * @param {(item: HTMLElement, data: T) => void} callback - Hàm callback sẽ được gọi trước khi thêm phần tử
+     * Hiển thị hoặc ẩn phần tử trạng thái đang tải (`lv-loading`)
+     * - Được gọi tự động khi dùng nguồn dữ liệu bất đồng bộ
+     * @param {boolean} [loading=true]
      * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
      */
-    beforeItemAddedCall(callback) {
-        this._beforeItemAdded = callback;
+    setLoading(loading = true) {
+        this._loadState.loading = !!loading;
+        this._updateStateView();
         return this;
     }
 
     /**
-     * Cài đặt callback cho sự kiện sau khi một phần tử đã được thêm vào giao diện
-     * @param {(item: HTMLElement, data: T) => void} callback - Hàm callback sẽ được gọi sau khi thêm phần tử
+     * Hiển thị phần tử trạng thái lỗi (`lv-error`), truyền `null` để xóa lỗi
+     * - Được gọi tự động khi nguồn dữ liệu bất đồng bộ trả về lỗi, khi đó `retry` sẽ tải lại đúng trang bị lỗi
+     * @param {any} error - Lỗi cần hiển thị, `message` được binding vào mẫu lỗi
+     * @param {() => void} [retry] - Callback được gọi khi click phần tử `lv-retry`
      * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
      */
-    afterItemAddedCall(callback) {
-        this._afterItemAdded = callback;
+    setError(error, retry) {
+        if (retry !== undefined && typeof retry !== "function") {
+            throw new Error("ListView error: 'retry' truyền vào 'setError' phải là một hàm hợp lệ.");
+        }
+
+        this._loadState.error = error ?? null;
+        this._loadState.retry = error == null ? null : retry ?? null;
+
+        const errorElement = this._stateElements.error;
+        if (errorElement && error != null) {
+            const message = error instanceof Error ? error.message : String(error);
+            this._errorBinding.bind(errorElement, { message, error }, -1);
+            errorElement.querySelectorAll(`[${ListView.RETRY_ATTRIBUTE}]`)
+                .forEach(button => button.hidden = !this._loadState.retry);
+        }
+
+        this._updateStateView();
         return this;
     }
 
     /**
-     * Cài đặt callback cho sự kiện trước khi bắt đầu quá trình render giao diện
-     * @param {() => void} callback - Hàm callback sẽ được gọi trước khi bắt đầu render
-     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     * Thiết lập dữ liệu và render danh sách
+     * @param {T[]} dataCollection - Danh sách dữ liệu
      */
-    beforeRenderCall(callback) {
-        this._beforeRender = callback;
-        return this;
+    setDataCollection(dataCollection) {
+        if (!Array.isArray(dataCollection)) {
+            throw new Error(
+                `ListView error: Dữ liệu phải là một mảng chứa các phần tử thuộc kiểu '${this._DataType.name}'.`
+            );
+        }
+        this.dataCollection = this._reactive ? this._reactive.collection.observe(dataCollection) : dataCollection;
+        this.render();
     }
 
     /**
-     * Cài đặt callback cho sự kiện sau khi hoàn thành quá trình render giao diện
-     * @param {() => void} callback - Hàm callback sẽ được gọi sau khi hoàn thành render
-     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     * Thiết lập dữ liệu và dùng lại các dòng đã được render sẵn từ server thay vì tạo lại, tránh danh sách bị trống trong chốc lát
+     * - Container cần có thuộc tính `lv-hydrate`, các phần tử con không phải mẫu sẽ được giữ lại làm dòng render sẵn
+     * - Nếu đã thiết lập `keyBy` và các dòng có thuộc tính `lv-key`, dòng được ghép với phần tử có khóa tương ứng (so sánh dạng chuỗi),
+     * ngược lại dòng được ghép theo thứ tự với danh sách hiển thị
+     * - Dòng được ghép không bị binding lại, chỉ các hook/listener thêm phần tử (`beforeItemAdded`, `afterItemAdded`) được gọi để gắn sự kiện
+     * - Những điểm không khớp được sửa lại (tạo dòng thiếu, gỡ dòng thừa) và trả về để kiểm tra
+     * - Khi dùng `groupBy`, dòng tiêu đề nhóm render sẵn cần mang thuộc tính `lv-group-header` (đặt sau mẫu tiêu đề),
+     * chúng được ghép theo thứ tự với các nhóm và binding lại, dòng thiếu được tạo từ mẫu
+     * - Chưa hỗ trợ chế độ virtual
+     * @param {T[]} dataCollection - Danh sách dữ liệu đã dùng để render trên server
+     * @param {{ verify?: boolean }} [options]
+     * - `verify`: render thử từng phần tử và so sánh với HTML render sẵn, dòng khác biệt sẽ được tạo lại, mặc định `false`
+     * @returns {HydrationMismatch<T>[]} - Các điểm không khớp giữa HTML render sẵn và dữ liệu
      */
-    afterRenderCall(callback) {
-        this._afterRender = callback;
+    hydrate(dataCollection, { verify = false } = {}) {
+        if (!Array.isArray(dataCollection)) {
+            throw new Error(
+                `ListView error: Dữ liệu phải là một mảng chứa các phần tử thuộc kiểu '${this._DataType.name}'.`
+            );
+        }
+        if (!this._serverRows) {
+            throw new Error(
+                `ListView error: Không có dòng render sẵn để hydrate, container cần có thuộc tính '${ListView.HYDRATE_ATTRIBUTE}' và chưa được render.`
+            );
+        }
+        if (this._virtual) {
+            throw new Error("ListView error: Chế độ virtual chưa hỗ trợ 'hydrate'.");
+        }
+        this._assertBinder();
+
+        this._emit("beforeRender");
+        this.dataCollection = this._reactive ? this._reactive.collection.observe(dataCollection) : dataCollection;
+
+        /** @type {HydrationMismatch<T>[]} */
+        const mismatches = [];
+        try {
+            this.dataCollection.forEach((data, index) => this._validateItem(data, index));
+            this._view = this._computeView();
+            if (this._keyExtractor) this._assertUniqueKeys(this._view);
+
+            const serverRows = this._serverRows;
+            this._serverRows = null;
+            const byKey = this._keyExtractor && serverRows.some(element => element.hasAttribute(ListView.KEY_ATTRIBUTE));
+            /** @type {Map<string, HTMLElement>} */
+            const keyedElements = new Map();
+            if (byKey) {
+                serverRows.forEach(element => {
+                    const key = element.getAttribute(ListView.KEY_ATTRIBUTE);
+                    if (key !== null && !keyedElements.has(key)) keyedElements.set(key, element);
+                });
+            }
+
+            const usedElements = new Set();
+            this._rows = this._view.map((data, index) => {
+                const key = this._rowKey(data);
+                const template = this._templateName(data, index);
+                const element = byKey ? keyedElements.get(String(key)) : serverRows[index];
+
+                let reason = !element ? "missing" : element.tagName !== this._templates.get(template).element.tagName ? "template" : null;
+                /** @type {HTMLElement | null} */
+                let fresh = null;
+                if (!reason && verify) {
+                    fresh = this._createItem(data, index, template);
+                    if (normalizeMarkup(fresh) !== normalizeMarkup(element)) reason = "content";
+                }
+
+                if (!reason) {
+                    usedElements.add(element);
+                    this._emit("beforeItemAdded", element, data);
+                    this._emit("afterItemAdded", element, data);
+                    return { key, element, data, template };
+                }
+
+                mismatches.push({ index, data, element: element ?? null, reason });
+                const row = { key, element: fresh ?? this._createItem(data, index, template), data, template };
+                this._emit("beforeItemAdded", row.element, data);
+                if (element) {
+                    usedElements.add(element);
+                    element.replaceWith(row.element);
+                } else {
+                    this._listContainer.insertBefore(row.element, this._listEnd());
+                }
+                this._emit("afterItemAdded", row.element, data);
+                return row;
+            });
+
+            serverRows.forEach((element, index) => {
+                if (usedElements.has(element)) return;
+                mismatches.push({ index, data: null, element, reason: "extra" });
+                element.remove();
+            });
+
+            // Đưa các dòng về đúng thứ tự của danh sách hiển thị, duyệt ngược để luôn có phần tử đứng sau làm mốc chèn
+            let nextSibling = this._listEnd();
+            for (let index = this._rows.length - 1; index >= 0; index--) {
+                const { element } = this._rows[index];
+                if (element.nextElementSibling !== nextSibling) this._listContainer.insertBefore(element, nextSibling);
+                nextSibling = element;
+            }
+
+            this._adoptServerHeaders();
+            this._afterRowsChanged();
+        } catch (error) {
+            this._emit("renderError", error);
+            throw error;
+        }
+
+        if (mismatches.length) {
+            ListView.LOG && console.warn("ListView warning: HTML render sẵn không khớp với dữ liệu khi hydrate.", mismatches);
+        }
+        this._emit("afterRender");
+        return mismatches;
+    }
+
+    /**
+     * Bật chế độ tự động render: thay đổi trên `dataCollection` (`push`, `splice`, `sort`, gán theo index, ...) sẽ được gom lại
+     * và cập nhật đúng những dòng bị ảnh hưởng trong microtask kế tiếp, không cần gọi `render`
+     * - `dataCollection` được thay bằng một `Proxy`, mọi thay đổi phải thực hiện qua `listView.dataCollection` để được phát hiện,
+     * gán lại cả mảng vẫn cần dùng `setDataCollection`
+     * - Phần tử được gán vào mảng vẫn phải thuộc kiểu `DataType`, nếu không sẽ báo lỗi ngay tại phép gán
+     * - Với `deep`, phép gán thuộc tính cấp một của phần tử (`item.title = ...`) cũng binding lại dòng tương ứng,
+     * khi đó các phần tử trong mảng được thay bằng proxy của chúng:
+     *      - Class dùng private fields (`#field`) sẽ lỗi khi method truy cập private field được gọi qua proxy
+     *      - Thay đổi bên trong object lồng nhau (`item.author.name = ...`) không được phát hiện
+     * @param {{ deep?: boolean }} [options]
+     * - `deep`: theo dõi cả thuộc tính của từng phần tử, mặc định `false`
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    observe({ deep = false } = {}) {
+        if (this._reactive) {
+            throw new Error("ListView error: Chế độ tự động render đã được bật cho ListView này.");
+        }
+
+        const collection = new ObservableCollection({
+            deep,
+            validate: (value, index) => this._validateItem(value, index),
+            onStructureChange: () => this._scheduleReactiveUpdate(true),
+            onItemChange: item => {
+                this._reactive.changedItems.add(item);
+                this._scheduleReactiveUpdate(false);
+            },
+        });
+        this._reactive = { collection, scheduled: false, structureChanged: false, changedItems: new Set() };
+
+        this.dataCollection = collection.observe(this.dataCollection);
+        this._rows.forEach(row => {
+            row.data = collection.observeItem(row.data);
+            row.key = this._rowKey(row.data);
+        });
+        if (!this._keyExtractor) {
+            // Khi chưa thiết lập `keyBy`, khóa lựa chọn là chính object dữ liệu nên cần đổi sang proxy tương ứng
+            const selection = this._selection;
+            selection.keys = new Set([...selection.keys].map(key => collection.observeItem(key)));
+            selection.anchorKey = collection.observeItem(selection.anchorKey);
+            selection.activeKey = collection.observeItem(selection.activeKey);
+        }
+        this._view = this._computeView();
+        return this;
+    }
+
+    /**
+     * Thiết lập hàm trích xuất khóa để `render` chỉ chèn, gỡ, di chuyển hoặc binding lại những dòng thay đổi
+     * - Khóa phải là duy nhất trong mỗi bộ dữ liệu (so sánh theo `Map`, ví dụ `data => data.id`)
+     * - Dòng có cùng khóa nhưng dữ liệu là object khác sẽ được gọi lại `dataBinder` trên chính phần tử đang hiển thị,
+     * vì vậy `dataBinder` nên ghi đè nội dung thay vì nối thêm
+     * @param {(data: T) => any} keyExtractor - Hàm trả về khóa của một phần tử dữ liệu
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    keyBy(keyExtractor) {
+        if (typeof keyExtractor !== "function") {
+            throw new Error("ListView error: 'keyExtractor' truyền vào 'keyBy' phải là một hàm hợp lệ.");
+        }
+        this._keyExtractor = keyExtractor;
+        this._rows.forEach(row => row.key = keyExtractor(row.data));
+        return this;
+    }
+
+    /**
+     * Thiết lập hàm chọn mẫu cho từng phần tử khi container có nhiều mẫu (`lv-template="message"`, `lv-template="system"`, ...)
+     * - Mẫu chỉ đánh dấu `lv-template` (không có giá trị) có tên là chuỗi rỗng
+     * - Khi một dòng đang hiển thị được binding lại và đổi sang mẫu khác, dòng đó sẽ được tạo lại từ mẫu mới
+     * @param {(data: T, index: number) => string} selector - Hàm trả về tên mẫu của một phần tử
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    templateBy(selector) {
+        if (typeof selector !== "function") {
+            throw new Error("ListView error: 'selector' truyền vào 'templateBy' phải là một hàm hợp lệ.");
+        }
+        this._templateSelector = selector;
+        return this;
+    }
+
+    /**
+     * Bật chế độ nhóm: chèn một dòng tiêu đề (tạo từ mẫu `lv-group-header`) trước mỗi đoạn phần tử liên tiếp có cùng khóa nhóm
+     * - Dữ liệu cần được sắp xếp theo nhóm từ trước, mỗi lần khóa nhóm thay đổi sẽ bắt đầu một nhóm mới
+     * - Mẫu tiêu đề có thể dùng binding khai báo với dữ liệu `{ key, items }`
+     * @param {(data: T) => any} keyExtractor - Hàm trả về khóa nhóm của một phần tử (so sánh bằng `===`)
+     * @param {(header: HTMLElement, group: { key: any, items: T[] }) => void} [headerBinder] - Hàm binding bổ sung cho dòng tiêu đề
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    groupBy(keyExtractor, headerBinder) {
+        if (typeof keyExtractor !== "function") {
+            throw new Error("ListView error: 'keyExtractor' truyền vào 'groupBy' phải là một hàm hợp lệ.");
+        }
+        if (headerBinder !== undefined && typeof headerBinder !== "function") {
+            throw new Error("ListView error: 'headerBinder' truyền vào 'groupBy' phải là một hàm hợp lệ.");
+        }
+        if (!this._groupHeaderTemplate) {
+            throw new Error(
+                `ListView error: Cần có phần tử được đánh dấu bằng thuộc tính '${ListView.GROUP_HEADER_ATTRIBUTE}' trong container để dùng 'groupBy'.`
+            );
+        }
+        if (this._virtual) {
+            throw new Error("ListView error: Chế độ virtual chưa hỗ trợ kết hợp với 'groupBy'.");
+        }
+        if (this._tree) {
+            throw new Error("ListView error: Chế độ cây chưa hỗ trợ kết hợp với 'groupBy'.");
+        }
+
+        this._grouping?.headers.forEach(header => header.element.remove());
+        this._grouping = { keyExtractor, headerBinder: headerBinder ?? null, headers: [] };
+        this._syncGroupHeaders();
+        return this;
+    }
+
+    /**
+     * Bật chế độ cây: mỗi phần tử có thể có các phần tử con, được hiển thị ngay bên dưới khi nút cha được mở
+     * - Phần tử của `dataCollection` là các nút gốc, phần tử con cũng phải thuộc kiểu `DataType`
+     * - `getChildren` có thể trả về mảng (đồng bộ) hoặc `Promise` (bất đồng bộ), kết quả bất đồng bộ chỉ được tải một lần cho mỗi nút
+     * - Nếu không truyền `hasChildren`, `getChildren` sẽ được gọi cho mọi nút đang hiển thị để biết nút có con hay không,
+     * vì vậy với `getChildren` bất đồng bộ nên truyền `hasChildren` để chỉ tải khi nút được mở
+     * - Trạng thái mở của các nút được ghi nhớ theo khóa của `keyBy` (hoặc theo object dữ liệu), nên vẫn được giữ sau khi render lại
+     * - Điều kiện lọc, tìm kiếm và sắp xếp được áp dụng riêng cho từng cấp, `index` truyền vào hàm lọc là vị trí trong các nút cùng cấp
+     * - Container nhận `role="tree"`, mỗi dòng nhận `role="treeitem"`, `aria-level`, `aria-expanded`, `aria-setsize`, `aria-posinset`
+     * và biến CSS `--lv-depth`; bàn phím theo mẫu tree của WAI-ARIA:
+     *      - Mũi tên lên/xuống, Home, End: di chuyển giữa các dòng đang hiển thị
+     *      - Mũi tên phải: mở nút, nếu nút đã mở thì chuyển tới nút con đầu tiên
+     *      - Mũi tên trái: đóng nút, nếu nút đã đóng thì chuyển tới nút cha
+     *      - `*`: mở tất cả các nút cùng cấp
+     * - Click vào phần tử có thuộc tính `lv-toggle` bên trong mẫu sẽ mở/đóng nút
+     * @param {(data: T) => T[] | Promise<T[]> | null | undefined} getChildren - Hàm trả về các phần tử con của một phần tử
+     * @param {{ hasChildren?: (data: T) => boolean, indent?: number }} [options]
+     * - `hasChildren`: hàm cho biết phần tử có con hay không mà không cần tải danh sách con
+     * - `indent`: khoảng thụt lề (px) cho mỗi cấp, đặt qua `padding-inline-start` của dòng, mặc định `16`,
+     * truyền `0` để tự định kiểu bằng biến CSS `--lv-depth`
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    treeBy(getChildren, { hasChildren, indent = 16 } = {}) {
+        if (typeof getChildren !== "function") {
+            throw new Error("ListView error: 'getChildren' truyền vào 'treeBy' phải là một hàm hợp lệ.");
+        }
+        if (hasChildren !== undefined && typeof hasChildren !== "function") {
+            throw new Error("ListView error: 'hasChildren' truyền vào 'treeBy' phải là một hàm hợp lệ.");
+        }
+        if (!(indent >= 0)) {
+            throw new Error("ListView error: 'indent' truyền vào 'treeBy' phải là số không âm.");
+        }
+        if (this._tree) {
+            throw new Error("ListView error: Chế độ cây đã được bật cho ListView này.");
+        }
+        if (this._grouping) {
+            throw new Error("ListView error: Chế độ cây chưa hỗ trợ kết hợp với 'groupBy'.");
+        }
+
+        this._tree = {
+            getChildren,
+            hasChildren: hasChildren ?? null,
+            indent,
+            expandedKeys: new Set(),
+            loadedChildren: new Map(),
+            pending: new Map(),
+            nodes: new Map(),
+        };
+
+        const container = this._listContainer;
+        container.setAttribute("role", "tree");
+        container.addEventListener("click", event => this._onTreeClick(event), { signal: this._teardown.signal });
+        container.addEventListener("keydown", event => this._onTreeKeydown(event), { signal: this._teardown.signal });
+
+        if (this._rows.length) this._refreshView();
+        return this;
+    }
+
+    /**
+     * Mở một nút ở chế độ cây, tải danh sách con nếu `getChildren` bất đồng bộ
+     * @param {T} data - Phần tử cần mở
+     * @returns {Promise<void>} - Hoàn thành khi các nút con đã được hiển thị
+     */
+    expand(data) {
+        const tree = this._assertTree("expand");
+        const key = this._rowKey(data);
+        if (tree.expandedKeys.has(key)) return tree.pending.get(key) ?? Promise.resolve();
+
+        tree.expandedKeys.add(key);
+        this._refreshView();
+        return tree.pending.get(key) ?? Promise.resolve();
+    }
+
+    /**
+     * Đóng một nút ở chế độ cây, các nút con đang mở vẫn được ghi nhớ trạng thái
+     * @param {T} data - Phần tử cần đóng
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    collapse(data) {
+        const tree = this._assertTree("collapse");
+        const key = this._rowKey(data);
+        if (!tree.expandedKeys.delete(key)) return this;
+
+        // Dòng đang giữ focus nằm trong nhánh bị đóng thì chuyển sang chính nút bị đóng
+        const selection = this._selection;
+        const active = this._view.find(item => this._rowKey(item) === selection.activeKey);
+        for (let node = active && tree.nodes.get(active); node?.parent; node = tree.nodes.get(node.parent)) {
+            if (this._rowKey(node.parent) === key) {
+                selection.activeKey = key;
+                break;
+            }
+        }
+
+        this._refreshView();
+        return this;
+    }
+
+    /**
+     * Nút có đang được mở hay không ở chế độ cây
+     * @param {T} data
+     * @returns {boolean}
+     */
+    isExpanded(data) {
+        return this._assertTree("isExpanded").expandedKeys.has(this._rowKey(data));
+    }
+
+    /**
+     * Bật chế độ cuộn ảo: container trở thành vùng cuộn và chỉ những dòng trong (và quanh) vùng nhìn thấy được tạo từ mẫu
+     * - Container cần có chiều cao cố định (thông qua CSS), nếu chưa có `overflow` thì sẽ được đặt `overflow-y: auto`
+     * - Các node đã cuộn ra khỏi vùng nhìn thấy được tái sử dụng cho dòng mới bằng cách gọi lại `dataBinder`,
+     * vì vậy `dataBinder` và các hook thêm/gỡ phần tử nên ghi đè thay vì nối thêm
+     * - Nếu không truyền `itemHeight`, chiều cao từng dòng sẽ được đo sau khi render, dòng chưa đo dùng `estimatedItemHeight`
+     * @param {{ itemHeight?: number, estimatedItemHeight?: number, overscan?: number }} [options]
+     * - `itemHeight`: chiều cao cố định (px) của mỗi dòng
+     * - `estimatedItemHeight`: chiều cao ước lượng (px) cho dòng chưa được đo, mặc định `40`
+     * - `overscan`: số dòng render thêm ở mỗi phía của vùng nhìn thấy, mặc định `5`
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    virtualize(options = {}) {
+        if (this._virtual) {
+            throw new Error("ListView error: Chế độ virtual đã được bật cho ListView này.");
+        }
+        if (this._grouping) {
+            throw new Error("ListView error: Chế độ virtual chưa hỗ trợ kết hợp với 'groupBy'.");
+        }
+        if (this._chunking) {
+            throw new Error("ListView error: Chế độ virtual không dùng được cùng chế độ 'chunked'.");
+        }
+        if (this._animation) {
+            throw new Error("ListView error: Chế độ virtual chưa hỗ trợ kết hợp với 'animate'.");
+        }
+
+        const viewport = new VirtualViewport(options);
+        const container = this._listContainer;
+
+        if (getComputedStyle(container).overflowY === "visible") {
+            container.style.overflowY = "auto";
+        }
+
+        this._rows.forEach(row => row.element.remove());
+        this._rows = [];
+
+        const listEnd = this._listEnd();
+        this._virtual = {
+            viewport,
+            topSpacer: this._createSpacer(),
+            bottomSpacer: this._createSpacer(),
+            frame: 0,
+            controller: new AbortController(),
+            resizeObserver: null,
+        };
+        container.prepend(this._virtual.topSpacer);
+        container.insertBefore(this._virtual.bottomSpacer, listEnd);
+
+        container.addEventListener("scroll", () => this._scheduleVirtualRender(), {
+            passive: true,
+            signal: this._virtual.controller.signal,
+        });
+        if (typeof ResizeObserver !== "undefined") {
+            this._virtual.resizeObserver = new ResizeObserver(() => this._scheduleVirtualRender());
+            this._virtual.resizeObserver.observe(container);
+        }
+
+        if (this.dataCollection.length) this.render();
+        return this;
+    }
+
+    /**
+     * Tắt chế độ cuộn ảo: gỡ phần giữ chỗ, ngừng theo dõi cuộn và kích thước container rồi render đầy đủ mọi dòng
+     * - `overflow-y` đã được đặt bởi `virtualize` được giữ nguyên
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    unvirtualize() {
+        const virtual = this._virtual;
+        if (!virtual) {
+            throw new Error("ListView error: Chế độ virtual chưa được bật cho ListView này.");
+        }
+
+        this._releaseVirtual();
+        virtual.topSpacer.remove();
+        virtual.bottomSpacer.remove();
+        this._virtual = null;
+
+        if (this.dataCollection.length) this.render();
         return this;
     }
 
     /**
-     * Render danh sách dựa trên dữ liệu hiện tại
+     * Hủy ListView khi không còn dùng (ví dụ container bị gỡ khỏi trang): gỡ mọi listener ListView đã gắn lên container,
+     * ngừng các observer, yêu cầu tải trang và lần render chia nhỏ đang dở
+     * - Các dòng đang hiển thị được giữ nguyên trong DOM, không nên gọi thêm phương thức nào của ListView sau khi hủy
+     */
+    destroy() {
+        this._cancelChunkedRender(false);
+        if (this._virtual) this._releaseVirtual();
+        if (this._dataSource) {
+            this.cancelLoading();
+            this._dataSource.observer?.disconnect();
+        }
+        this._teardown.abort();
+        this._itemListeners.clear();
+    }
+
+    /**
+     * Bật chế độ render chia nhỏ: `render` chỉ tạo một phần dòng mỗi lần rồi nhường luồng cho trình duyệt,
+     * dùng khi cần tạo đầy đủ mọi dòng (in ấn, Ctrl+F) mà không làm treo giao diện
+     * - Phần đầu tiên được render ngay trong `render`, các phần sau được render ở các frame kế tiếp
+     * - Sự kiện `renderProgress` được phát sau mỗi phần, `afterRender` chỉ được phát khi đã render xong toàn bộ
+     * - Lỗi ở phần đầu tiên được `render` ném ra, lỗi ở các phần sau được báo qua `renderError` và `renderComplete`
+     * - Gọi `render` (hoặc `setDataCollection`) khi đang render dở sẽ hủy lần render cũ và bắt đầu lại với dữ liệu mới
+     * - Các thao tác khác (`push`, `removeAt`, lọc, sắp xếp, ...) vẫn cập nhật đồng bộ, và hoàn tất luôn lần render đang dở
+     * @param {{ chunkSize?: number, timeBudget?: number }} [options]
+     * - `chunkSize`: số dòng tạo trong mỗi phần, mặc định `50`
+     * - `timeBudget`: thời gian tối đa (ms) cho mỗi lần render, khi có giá trị sẽ render liên tiếp nhiều phần cho tới khi hết thời gian
+     * và dùng `requestIdleCallback` (nếu trình duyệt hỗ trợ) để chỉ render khi trình duyệt rảnh
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    chunked({ chunkSize = 50, timeBudget } = {}) {
+        if (!Number.isInteger(chunkSize) || chunkSize <= 0) {
+            throw new Error("ListView error: 'chunkSize' của chế độ chunked phải là số nguyên dương.");
+        }
+        if (timeBudget !== undefined && !(timeBudget > 0)) {
+            throw new Error("ListView error: 'timeBudget' của chế độ chunked phải là số dương.");
+        }
+        if (this._chunking) {
+            throw new Error("ListView error: Chế độ chunked đã được bật cho ListView này.");
+        }
+        if (this._virtual) {
+            throw new Error("ListView error: Chế độ virtual không dùng được cùng chế độ 'chunked'.");
+        }
+
+        this._chunking = { chunkSize, timeBudget: timeBudget ?? null, task: null, complete: Promise.resolve(true) };
+        return this;
+    }
+
+    /**
+     * `Promise` của lần render gần nhất ở chế độ `chunked`
+     * - Nhận `true` khi đã render xong toàn bộ, `false` khi bị hủy bởi một lần `render` mới, bị reject nếu render lỗi
+     * - Khi không bật chế độ `chunked`, `render` luôn hoàn tất ngay nên đây là `Promise` đã hoàn thành
+     * @returns {Promise<boolean>}
+     */
+    get renderComplete() {
+        return this._chunking?.complete ?? Promise.resolve(true);
+    }
+
+    /**
+     * Bật hiệu ứng khi dòng được thêm, bị gỡ hoặc di chuyển (FLIP: dòng được dịch từ vị trí cũ về vị trí mới)
+     * - Nên dùng cùng `keyBy` để các dòng được giữ nguyên khi render lại, nếu không mọi dòng đều được tạo lại và chạy hiệu ứng xuất hiện
+     * - Dòng bị gỡ được giữ lại trong DOM (đặt `position: absolute` tại vị trí cũ) cho tới khi hiệu ứng kết thúc,
+     * hook `afterItemRemoved` được gọi sau khi dòng thực sự bị gỡ
+     * - Với `mode: 'css'`, các class `lv-enter`, `lv-leave`, `lv-move` được thêm vào dòng và gỡ đi khi animation/transition
+     * trên dòng kết thúc, ví dụ `.lv-enter { animation: fade-in .2s }`, `.lv-move { transition: transform .25s }`
+     * - Với `mode: 'waapi'`, hiệu ứng được chạy bằng `element.animate` với `enter`, `leave` và `duration`, `easing`
+     * - Khi người dùng bật `prefers-reduced-motion: reduce`, không chạy hiệu ứng nào
+     * - Chưa hỗ trợ chế độ virtual
+     * @param {{ mode?: 'css' | 'waapi', duration?: number, easing?: string, enter?: Keyframe[], leave?: Keyframe[], appear?: boolean }} [options]
+     * - `mode`: cách chạy hiệu ứng, mặc định `'css'`
+     * - `duration`, `easing`: thời gian (ms, mặc định `250`) và hàm easing (mặc định `'ease'`) của chế độ `waapi`
+     * - `enter`, `leave`: keyframes của chế độ `waapi`, mặc định hiện dần và mờ dần
+     * - `appear`: chạy hiệu ứng xuất hiện cho cả lần render đầu tiên (khi danh sách đang rỗng), mặc định `false`
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    animate({
+        mode = "css",
+        duration = 250,
+        easing = "ease",
+        enter = [{ opacity: 0 }, { opacity: 1 }],
+        leave = [{ opacity: 1 }, { opacity: 0 }],
+        appear = false,
+    } = {}) {
+        if (mode !== "css" && mode !== "waapi") {
+            throw new Error(`ListView error: Chế độ hiệu ứng '${mode}' không hợp lệ, chỉ chấp nhận 'css' hoặc 'waapi'.`);
+        }
+        if (!(duration >= 0)) {
+            throw new Error("ListView error: 'duration' của chế độ animate phải là số không âm.");
+        }
+        if (!Array.isArray(enter) || !Array.isArray(leave)) {
+            throw new Error("ListView error: 'enter' và 'leave' của chế độ animate phải là mảng keyframes.");
+        }
+        if (this._animation) {
+            throw new Error("ListView error: Chế độ animate đã được bật cho ListView này.");
+        }
+        if (this._virtual) {
+            throw new Error("ListView error: Chế độ virtual chưa hỗ trợ kết hợp với 'animate'.");
+        }
+
+        // Dòng bị gỡ được đặt `position: absolute` theo vị trí trong container nên container cần là khối chứa của dòng
+        if (getComputedStyle(this._listContainer).position === "static") {
+            this._listContainer.style.position = "relative";
+        }
+
+        this._animation = { mode, duration, easing, enter, leave, appear, snapshot: null, leaving: [] };
+        return this;
+    }
+
+    /**
+     * Bật chế độ đổi vị trí dòng bằng kéo thả (chuột, bút, cảm ứng) và bằng bàn phím
+     * - Kéo dòng (hoặc phần tử `lv-drag-handle` bên trong dòng nếu có) để di chuyển, một phần tử giữ chỗ (`lv-placeholder`)
+     * cho biết vị trí sẽ thả, dòng đang kéo có thuộc tính `lv-dragging`; nhấn Escape để hủy
+     * - Kéo tới gần mép trên/dưới của container sẽ tự cuộn container
+     * - Alt + mũi tên lên/xuống di chuyển dòng đang focus lên/xuống một vị trí
+     * - Sau khi thả, `dataCollection` được cập nhật bằng `move` rồi sự kiện `reorder` được phát với vị trí cũ và mới
+     * - Chỉ hoạt động khi các dòng tương ứng 1-1 với `dataCollection` (không virtual, không ở chế độ cây, không lọc, tìm kiếm hay sắp xếp)
+     * - Trên thiết bị cảm ứng, vùng kéo được đặt `touch-action: none`, nên dùng `lv-drag-handle` để người dùng vẫn cuộn được danh sách
+     * @param {{ autoScrollMargin?: number, autoScrollSpeed?: number }} [options]
+     * - `autoScrollMargin`: khoảng cách (px) tới mép container để bắt đầu tự cuộn, mặc định `40`
+     * - `autoScrollSpeed`: số px cuộn mỗi frame khi tự cuộn, mặc định `10`
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    reorderable({ autoScrollMargin = 40, autoScrollSpeed = 10 } = {}) {
+        if (!(autoScrollMargin >= 0)) {
+            throw new Error("ListView error: 'autoScrollMargin' của chế độ reorderable phải là số không âm.");
+        }
+        if (!(autoScrollSpeed > 0)) {
+            throw new Error("ListView error: 'autoScrollSpeed' của chế độ reorderable phải là số dương.");
+        }
+        if (this._reorder) {
+            throw new Error("ListView error: Chế độ reorderable đã được bật cho ListView này.");
+        }
+
+        this._reorder = { autoScrollMargin, autoScrollSpeed, drag: null, suppressClick: false };
+
+        const container = this._listContainer;
+        container.addEventListener("pointerdown", event => this._onDragStart(event), { signal: this._teardown.signal });
+        container.addEventListener("pointermove", event => this._onDragMove(event), { signal: this._teardown.signal });
+        container.addEventListener("pointerup", event => this._endDrag(event, true), { signal: this._teardown.signal });
+        container.addEventListener("pointercancel", event => this._endDrag(event, false), { signal: this._teardown.signal });
+        container.addEventListener("keydown", event => this._onReorderKeydown(event), { signal: this._teardown.signal });
+        // Click phát sinh ngay sau khi thả không được coi là click chọn dòng
+        container.addEventListener("click", event => {
+            if (!this._reorder.suppressClick) return;
+            this._reorder.suppressClick = false;
+            event.stopImmediatePropagation();
+            event.preventDefault();
+        }, { capture: true, signal: this._teardown.signal });
+
+        this._syncReorder();
+        return this;
+    }
+
+    /**
+     * Cuộn container tới phần tử tại vị trí chỉ định, dùng được cả khi có hoặc không bật chế độ virtual
+     * - Khi đang render chia nhỏ mà phần tử chưa được render, các phần còn lại tới phần tử đó được render ngay
+     * @param {number} index - Vị trí phần tử trong danh sách đang hiển thị (sau khi lọc, tìm kiếm và sắp xếp)
+     * @param {'start' | 'center' | 'end'} [align='start'] - Vị trí của phần tử trong vùng nhìn thấy sau khi cuộn
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    scrollToIndex(index, align = "start") {
+        this._assertIndex("scrollToIndex", index, this._view.length - 1);
+
+        if (!this._virtual) {
+            const task = this._chunking?.task;
+            if (task && index >= task.rendered) {
+                task.cancel?.();
+                this._renderChunk(task, undefined, index);
+            }
+            this._rows[index].element.scrollIntoView({ block: align });
+            return this;
+        }
+
+        const { viewport } = this._virtual;
+        const container = this._listContainer;
+        const offset = viewport.offsetOf(this._view, index);
+        const height = viewport.heightOf(this._view[index]);
+
+        container.scrollTop =
+            align === "center" ? offset - (container.clientHeight - height) / 2 :
+            align === "end" ? offset - container.clientHeight + height :
+            offset;
+
+        this._renderVirtual();
+        return this;
+    }
+
+    /**
+     * Sắp xếp danh sách hiển thị mà không thay đổi `dataCollection`, truyền `null` để bỏ sắp xếp
+     * - Các dòng đang hiển thị chỉ bị di chuyển, không bị tạo lại
+     * @param {((a: T, b: T) => number) | null} comparator - Hàm so sánh giống `Array.prototype.sort`
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    setSort(comparator) {
+        if (comparator !== null && typeof comparator !== "function") {
+            throw new Error("ListView error: 'comparator' truyền vào 'setSort' phải là một hàm hợp lệ hoặc null.");
+        }
+        this._sortComparator = comparator;
+        this._refreshView();
+        return this;
+    }
+
+    /**
+     * Lọc danh sách hiển thị mà không thay đổi `dataCollection`, truyền `null` để bỏ lọc
+     * @param {((data: T, index: number) => boolean) | null} predicate - Hàm trả về `true` với phần tử được hiển thị,
+     * `index` là vị trí trong `dataCollection`
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    setFilter(predicate) {
+        if (predicate !== null && typeof predicate !== "function") {
+            throw new Error("ListView error: 'predicate' truyền vào 'setFilter' phải là một hàm hợp lệ hoặc null.");
+        }
+        this._filterPredicate = predicate;
+        this._refreshView();
+        return this;
+    }
+
+    /**
+     * Tìm kiếm theo chuỗi trên danh sách hiển thị (kết hợp với `setFilter`), truyền chuỗi rỗng hoặc `null` để bỏ tìm kiếm
+     * - Không phân biệt hoa thường và dấu tiếng Việt (`"tieng viet"` khớp với `"Tiếng Việt"`)
+     * @param {string | null} query - Từ khóa tìm kiếm
+     * @param {string[]} [fields] - Các trường được tìm kiếm, hỗ trợ dấu chấm (`author.name`),
+     * mặc định là mọi thuộc tính kiểu chuỗi, số của phần tử
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    search(query, fields) {
+        if (fields !== undefined && !(Array.isArray(fields) && fields.every(field => typeof field === "string"))) {
+            throw new Error("ListView error: 'fields' truyền vào 'search' phải là một mảng tên trường.");
+        }
+        const normalizedQuery = normalizeSearchText(query ?? "");
+        this._searchQuery = normalizedQuery ? { query: normalizedQuery, fields: fields ?? null } : null;
+        this._refreshView();
+        return this;
+    }
+
+    /**
+     * Số phần tử khớp với điều kiện lọc và tìm kiếm hiện tại (cũng là số phần tử của danh sách hiển thị)
+     * @returns {number}
+     */
+    get matchCount() {
+        return this._view.length;
+    }
+
+    /**
+     * Bản sao của danh sách đang hiển thị, sau khi lọc, tìm kiếm và sắp xếp
+     * @returns {T[]}
+     */
+    get viewCollection() {
+        return [...this._view];
+    }
+
+    /**
+     * Bật chế độ lựa chọn cho danh sách
+     * - `single`: click hoặc di chuyển bằng phím mũi tên sẽ chọn đúng một phần tử
+     * - `multiple`: click để chọn một phần tử, Ctrl/Cmd + click để bật/tắt, Shift + click hoặc Shift + phím mũi tên để chọn theo khoảng,
+     * phím Space để bật/tắt phần tử đang focus, Ctrl/Cmd + A để chọn tất cả
+     * - Container nhận `role="listbox"`, mỗi dòng nhận `role="option"`, `aria-selected` và roving `tabindex`,
+     * hỗ trợ các phím mũi tên lên/xuống, Home, End
+     * - Phần tử được chọn được ghi nhớ theo khóa của `keyBy` (hoặc theo object dữ liệu), nên vẫn được giữ sau khi render lại
+     * @param {'none' | 'single' | 'multiple'} mode
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    setSelectionMode(mode) {
+        if (!["none", "single", "multiple"].includes(mode)) {
+            throw new Error(`ListView error: Chế độ lựa chọn '${mode}' không hợp lệ, chỉ chấp nhận 'none', 'single' hoặc 'multiple'.`);
+        }
+
+        const selection = this._selection;
+        const container = this._listContainer;
+        selection.mode = mode;
+
+        if (mode === "none") {
+            container.removeAttribute("role");
+            container.removeAttribute("aria-multiselectable");
+            this._rows.forEach(({ element }) => {
+                element.removeAttribute("role");
+                element.removeAttribute("aria-selected");
+                element.removeAttribute("tabindex");
+            });
+            this._grouping?.headers.forEach(({ element }) => element.removeAttribute("role"));
+            this._syncTree();
+            this.clearSelection();
+            return this;
+        }
+
+        if (!selection.listening) {
+            selection.listening = true;
+            container.addEventListener("click", event => this._onSelectionClick(event), { signal: this._teardown.signal });
+            container.addEventListener("keydown", event => this._onSelectionKeydown(event), { signal: this._teardown.signal });
+        }
+
+        container.setAttribute("role", this._tree ? "tree" : "listbox");
+        container.setAttribute("aria-multiselectable", String(mode === "multiple"));
+        if (mode === "single" && selection.keys.size > 1) {
+            this._changeSelection([...selection.keys].slice(0, 1));
+        } else {
+            this._syncSelection();
+        }
+        return this;
+    }
+
+    /**
+     * Lấy các phần tử đang được chọn, theo thứ tự trong `dataCollection` (kể cả phần tử đang bị lọc khỏi danh sách hiển thị)
+     * - Ở chế độ cây, chỉ gồm các nút đang hiển thị, theo thứ tự trên giao diện
+     * @returns {T[]}
+     */
+    getSelection() {
+        const { keys } = this._selection;
+        if (!keys.size) return [];
+        // Ở chế độ cây, nút con chỉ được biết tới khi đang hiển thị
+        const items = this._tree ? this._view : this.dataCollection;
+        return items.filter(data => keys.has(this._rowKey(data)));
+    }
+
+    /**
+     * Thay tập phần tử được chọn bằng các phần tử truyền vào
+     * @param {T[]} items - Các phần tử cần chọn, chế độ `single` chỉ nhận tối đa một phần tử
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    setSelection(items) {
+        if (this._selection.mode === "none") {
+            throw new Error("ListView error: Cần bật chế độ lựa chọn bằng 'setSelectionMode' trước khi gọi 'setSelection'.");
+        }
+        if (this._selection.mode === "single" && items.length > 1) {
+            throw new Error("ListView error: Chế độ lựa chọn 'single' chỉ cho phép chọn tối đa một phần tử.");
+        }
+        this._changeSelection(items.map(data => this._rowKey(data)));
+        return this;
+    }
+
+    /**
+     * Bỏ chọn tất cả phần tử
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    clearSelection() {
+        this._changeSelection([]);
+        return this;
+    }
+
+    /**
+     * Kiểm tra một phần tử có đang được chọn hay không
+     * @param {T} data
+     * @returns {boolean}
+     */
+    isSelected(data) {
+        return this._selection.keys.has(this._rowKey(data));
+    }
+
+    /**
+     * Thiết lập nguồn dữ liệu bất đồng bộ theo số trang (bắt đầu từ `1`)
+     * - Dùng `nextPage` để nối trang kế tiếp vào cuối danh sách, `goToPage` để thay danh sách bằng một trang cụ thể
+     * - Trang trả về ít hơn `pageSize` phần tử được coi là trang cuối
+     * - Khi bật `infiniteScroll`, trang kế tiếp được tự động tải khi cuối danh sách cuộn vào vùng nhìn thấy
+     * @param {(page: number, pageSize: number, signal: AbortSignal) => Promise<T[]>} fetchPage - Hàm tải một trang,
+     * `signal` bị hủy khi yêu cầu không còn cần thiết
+     * @param {{ pageSize?: number, infiniteScroll?: boolean, rootMargin?: string }} [options]
+     * - `pageSize`: số phần tử mỗi trang, mặc định `20`
+     * - `infiniteScroll`: tự động tải trang kế tiếp khi cuộn tới cuối danh sách, mặc định `false`
+     * - `rootMargin`: khoảng cách tới cuối danh sách để bắt đầu tải trước, mặc định `'200px'`
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    setDataSource(fetchPage, options = {}) {
+        this._initDataSource(fetchPage, false, options);
+        return this;
+    }
+
+    /**
+     * Thiết lập nguồn dữ liệu bất đồng bộ theo con trỏ (cursor)
+     * - Lần tải đầu tiên nhận `cursor` là `null`, danh sách kết thúc khi `nextCursor` trả về là `null` hoặc `undefined`
+     * - Chỉ hỗ trợ `nextPage`, không hỗ trợ `goToPage`
+     * @param {(cursor: any, pageSize: number, signal: AbortSignal) => Promise<{ items: T[], nextCursor: any }>} fetchPage - Hàm tải một trang
+     * @param {{ pageSize?: number, infiniteScroll?: boolean, rootMargin?: string }} [options] - Giống `setDataSource`
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    setCursorDataSource(fetchPage, options = {}) {
+        this._initDataSource(fetchPage, true, options);
+        return this;
+    }
+
+    /**
+     * Tải trang kế tiếp và nối vào cuối danh sách
+     * - Nếu đang tải trang kế tiếp thì trả về chính yêu cầu đó thay vì gửi yêu cầu mới
+     * @returns {Promise<T[] | null>} - Các phần tử vừa tải, mảng rỗng nếu đã hết dữ liệu,
+     * `null` nếu yêu cầu bị hủy hoặc bị thay thế bởi yêu cầu mới hơn
+     */
+    nextPage() {
+        const source = this._assertDataSource("nextPage");
+        if (source.request && source.appending) return source.request;
+        if (!source.hasMore) return Promise.resolve([]);
+        return this._requestPage(source.page + 1, true);
+    }
+
+    /**
+     * Tải một trang cụ thể và thay thế toàn bộ danh sách bằng trang đó, yêu cầu đang chờ (nếu có) sẽ bị hủy
+     * @param {number} page - Số trang, bắt đầu từ `1`
+     * @returns {Promise<T[] | null>} - Các phần tử của trang, `null` nếu yêu cầu bị hủy hoặc bị thay thế bởi yêu cầu mới hơn
+     */
+    goToPage(page) {
+        const source = this._assertDataSource("goToPage");
+        if (source.cursorBased) {
+            throw new Error("ListView error: 'goToPage' không hỗ trợ nguồn dữ liệu theo con trỏ, hãy dùng 'nextPage'.");
+        }
+        if (!Number.isInteger(page) || page < 1) {
+            throw new RangeError(`ListView error: Số trang '${page}' truyền vào 'goToPage' không hợp lệ, phải là số nguyên từ 1.`);
+        }
+        return this._requestPage(page, false);
+    }
+
+    /**
+     * Hủy yêu cầu tải trang đang chờ, kết quả của yêu cầu đó (nếu về sau) sẽ bị bỏ qua
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    cancelLoading() {
+        const source = this._dataSource;
+        if (source?.controller) {
+            source.requestId++;
+            source.controller.abort();
+            source.controller = null;
+            source.request = null;
+            this.setLoading(false);
+        }
+        return this;
+    }
+
+    /**
+     * Trang hiện tại đã tải của nguồn dữ liệu theo số trang, `0` khi chưa tải trang nào
+     * @returns {number}
+     */
+    get currentPage() {
+        return this._dataSource?.page ?? 0;
+    }
+
+    /**
+     * Nguồn dữ liệu còn trang để tải hay không
+     * @returns {boolean}
+     */
+    get hasMorePages() {
+        return this._dataSource?.hasMore ?? false;
+    }
+
+    /**
+     * Có yêu cầu tải trang nào đang chờ hay không
+     * @returns {boolean}
+     */
+    get isLoading() {
+        return !!this._dataSource?.request;
+    }
+
+    /**
+     * Đăng ký listener cho một sự kiện vòng đời, một sự kiện có thể có nhiều listener
+     * - Các phương thức `...Call` chỉ giữ một callback (gọi lại sẽ thay callback cũ), còn `on` thêm listener mới mà không ảnh hưởng listener khác
+     * - Thứ tự gọi: callback của `...Call` trước, sau đó tới các listener theo thứ tự đăng ký
+     * @param {ListViewEvent} event - Tên sự kiện
+     * @param {Function} handler - Hàm xử lý, tham số tùy theo sự kiện (xem `ListViewEvent`)
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    on(event, handler) {
+        this._assertEvent("on", event, handler);
+        if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+        this._listeners.get(event).add(handler);
+        return this;
+    }
+
+    /**
+     * Hủy listener đã đăng ký bằng `on`
+     * @param {ListViewEvent} event - Tên sự kiện
+     * @param {Function} handler - Hàm xử lý đã truyền vào `on`
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    off(event, handler) {
+        this._assertEvent("off", event, handler);
+        this._listeners.get(event)?.delete(handler);
+        return this;
+    }
+
+    /**
+     * Đăng ký handler cho sự kiện DOM phát sinh từ bên trong các dòng, ví dụ `onItem('click', (data, item, event) => ...)`
+     * - Chỉ gắn một listener lên container cho mỗi loại sự kiện (event delegation), nên áp dụng cho cả những dòng được tạo sau này
+     * - Sự kiện phát sinh ngoài các dòng (dòng tiêu đề nhóm, phần tử trạng thái, ...) sẽ bị bỏ qua
+     * - Chỉ dùng với sự kiện có nổi bọt (`click`, `input`, `focusin`, `mouseover`, ...), sự kiện không nổi bọt như `focus`,
+     * `mouseenter` sẽ không tới được container
+     * @param {string} type - Loại sự kiện DOM
+     * @param {(data: T, item: HTMLElement, event: Event) => void} handler - Hàm xử lý nhận dữ liệu và phần tử của dòng phát sinh sự kiện
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    onItem(type, handler) {
+        if (typeof type !== "string" || !type) {
+            throw new Error("ListView error: Loại sự kiện truyền vào 'onItem' phải là một chuỗi hợp lệ.");
+        }
+        if (typeof handler !== "function") {
+            throw new Error("ListView error: 'handler' truyền vào 'onItem' phải là một hàm hợp lệ.");
+        }
+
+        let entry = this._itemListeners.get(type);
+        if (!entry) {
+            entry = {
+                handlers: new Set(),
+                listener: event => {
+                    const row = this._rowFromEvent(event);
+                    if (!row) return;
+                    [...entry.handlers].forEach(itemHandler => itemHandler(row.data, row.element, event));
+                },
+            };
+            this._itemListeners.set(type, entry);
+            this._listContainer.addEventListener(type, entry.listener, { signal: this._teardown.signal });
+        }
+        entry.handlers.add(handler);
+        return this;
+    }
+
+    /**
+     * Hủy handler đã đăng ký bằng `onItem`, listener trên container được gỡ khi loại sự kiện không còn handler nào
+     * @param {string} type - Loại sự kiện DOM
+     * @param {(data: T, item: HTMLElement, event: Event) => void} handler - Hàm xử lý đã truyền vào `onItem`
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    offItem(type, handler) {
+        const entry = this._itemListeners.get(type);
+        if (!entry) return this;
+
+        entry.handlers.delete(handler);
+        if (!entry.handlers.size) {
+            this._listContainer.removeEventListener(type, entry.listener);
+            this._itemListeners.delete(type);
+        }
+        return this;
+    }
+
+    /**
+     * Cài đặt callback cho sự kiện trước khi thêm một phần tử vào giao diện
+     * @param {(item: HTMLElement, data: T) => void} callback - Hàm callback sẽ được gọi trước khi thêm phần tử
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    beforeItemAddedCall(callback) {
+        this._beforeItemAdded = callback;
+        return this;
+    }
+
+    /**
+     * Cài đặt callback cho sự kiện sau khi một phần tử đã được thêm vào giao diện
+     * @param {(item: HTMLElement, data: T) => void} callback - Hàm callback sẽ được gọi sau khi thêm phần tử
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    afterItemAddedCall(callback) {
+        this._afterItemAdded = callback;
+        return this;
+    }
+
+    /**
+     * Cài đặt callback cho sự kiện trước khi một phần tử bị gỡ khỏi giao diện
+     * @param {(item: HTMLElement, data: T) => void} callback - Hàm callback sẽ được gọi khi phần tử vẫn còn trong container
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    beforeItemRemovedCall(callback) {
+        this._beforeItemRemoved = callback;
+        return this;
+    }
+
+    /**
+     * Cài đặt callback cho sự kiện sau khi một phần tử đang hiển thị được binding lại với dữ liệu mới
+     * @param {(item: HTMLElement, data: T) => void} callback - Hàm callback sẽ được gọi sau khi binding lại
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    afterItemUpdatedCall(callback) {
+        this._afterItemUpdated = callback;
+        return this;
+    }
+
+    /**
+     * Cài đặt callback cho sự kiện sau khi tập phần tử được chọn thay đổi
+     * @param {(selection: T[]) => void} callback - Hàm callback nhận các phần tử đang được chọn
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    selectionChangedCall(callback) {
+        this._selectionChanged = callback;
+        return this;
+    }
+
+    /**
+     * Cài đặt callback cho sự kiện trước khi bắt đầu quá trình render giao diện
+     * @param {() => void} callback - Hàm callback sẽ được gọi trước khi bắt đầu render
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    beforeRenderCall(callback) {
+        this._beforeRender = callback;
+        return this;
+    }
+
+    /**
+     * Cài đặt callback cho sự kiện sau khi hoàn thành quá trình render giao diện
+     * @param {() => void} callback - Hàm callback sẽ được gọi sau khi hoàn thành render
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    afterRenderCall(callback) {
+        this._afterRender = callback;
+        return this;
+    }
+
+    /**
+     * Render danh sách dựa trên dữ liệu hiện tại
+     * - Nếu đã thiết lập `keyBy`, chỉ những dòng thay đổi mới bị tác động, các dòng còn lại được giữ nguyên
+     * - Nếu chưa thiết lập `keyBy`, toàn bộ dòng được tạo lại từ mẫu
+     */
+    render() {
+        this._assertBinder();
+        this._cancelChunkedRender(false);
+        this._discardServerRows();
+        this._emit("beforeRender");
+
+        try {
+            this._captureLayout();
+            this.dataCollection.forEach((data, index) => this._validateItem(data, index));
+            if (this._reactive) {
+                // `render` đã phản ánh toàn bộ dữ liệu hiện tại, các thay đổi đang chờ không cần xử lý nữa
+                this._reactive.structureChanged = false;
+                this._reactive.changedItems.clear();
+            }
+            this._view = this._computeView();
+
+            if (this._virtual) {
+                if (this._keyExtractor) this._assertUniqueKeys(this._view);
+                this._renderVirtual();
+            } else if (this._chunking) {
+                // `afterRender` được phát khi render xong phần cuối cùng
+                this._startChunkedRender();
+                return;
+            } else if (this._keyExtractor) {
+                this._reconcile(this._view);
+            } else {
+                this._rebuild(this._view);
+            }
+
+            this._afterRowsChanged();
+        } catch (error) {
+            this._emit("renderError", error);
+            throw error;
+        } finally {
+            this._discardLayout();
+        }
+
+        this._emit("afterRender");
+    }
+
+    /**
+     * Thêm các phần tử vào cuối danh sách, chỉ tạo dòng cho những phần tử mới
+     * - Vị trí dùng trong các phương thức thao tác danh sách (`insertAt`, `removeAt`, `updateAt`, `move`) là vị trí trong `dataCollection`,
+     * khi đang lọc, tìm kiếm hoặc sắp xếp, danh sách hiển thị sẽ được đối chiếu lại và các dòng chỉ bị di chuyển khi cần
+     * @param {...T} items - Các phần tử cần thêm
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    push(...items) {
+        this._assertInSync("push");
+        try {
+            this._insertItems(this.dataCollection.length, items);
+            this._afterRowsChanged();
+        } finally {
+            this._discardLayout();
+        }
+        return this;
+    }
+
+    /**
+     * Chèn một phần tử vào vị trí chỉ định
+     * @param {number} index - Vị trí chèn, từ `0` đến `dataCollection.length`
+     * @param {T} item - Phần tử cần chèn
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    insertAt(index, item) {
+        this._assertInSync("insertAt");
+        this._assertIndex("insertAt", index, this.dataCollection.length);
+        try {
+            this._insertItems(index, [item]);
+            this._afterRowsChanged();
+        } finally {
+            this._discardLayout();
+        }
+        return this;
+    }
+
+    /**
+     * Gỡ phần tử tại vị trí chỉ định khỏi danh sách
+     * @param {number} index - Vị trí phần tử cần gỡ
+     * @returns {T} - Phần tử dữ liệu vừa bị gỡ
+     */
+    removeAt(index) {
+        this._assertInSync("removeAt");
+        this._assertIndex("removeAt", index, this.dataCollection.length - 1);
+        this._captureLayout();
+
+        if (!this._rowsMirrorCollection()) {
+            const [data] = this._rawCollection().splice(index, 1);
+            this._refreshView();
+            return data;
+        }
+
+        const [row] = this._rows.splice(index, 1);
+        this._rawCollection().splice(index, 1);
+
+        try {
+            this._emit("beforeItemRemoved", row.element, row.data);
+            this._removeRowElement(row);
+            this._afterRowsChanged();
+        } finally {
+            this._discardLayout();
+        }
+
+        return row.data;
+    }
+
+    /**
+     * Thay dữ liệu tại vị trí chỉ định và binding lại đúng dòng đó
+     * @param {number} index - Vị trí phần tử cần cập nhật
+     * @param {T} item - Dữ liệu mới
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    updateAt(index, item) {
+        this._assertInSync("updateAt");
+        this._assertIndex("updateAt", index, this.dataCollection.length - 1);
+        this._validateItem(item, index);
+        if (this._keyExtractor) this._assertUniqueKey(this._keyExtractor(item), index, index);
+        if (this._reactive) item = this._reactive.collection.observeItem(item);
+
+        const previous = this.dataCollection[index];
+        const mirrored = this._rowsMirrorCollection();
+        const row = mirrored ? this._rows[index] : this._rows.find(row => row.data === previous);
+        this._rawCollection()[index] = item;
+
+        // Phần tử đang bị lọc hoặc nằm ngoài vùng nhìn thấy (chế độ virtual) không có dòng để binding lại
+        if (row) this._updateRow(row, item, mirrored ? index : this._view.indexOf(previous));
+
+        if (mirrored) this._afterRowsChanged();
+        else this._refreshView();
+        return this;
+    }
+
+    /**
+     * Di chuyển phần tử từ vị trí `from` sang vị trí `to`, chỉ dời đúng một node trong DOM
+     * @param {number} from - Vị trí hiện tại
+     * @param {number} to - Vị trí mới, tính theo danh sách sau khi đã lấy phần tử ra
+     * @returns {this} - Trả về chính đối tượng hiện tại để hỗ trợ chain
+     */
+    move(from, to) {
+        this._assertInSync("move");
+        this._assertIndex("move", from, this.dataCollection.length - 1);
+        this._assertIndex("move", to, this.dataCollection.length - 1);
+        if (from === to) return this;
+        this._captureLayout();
+
+        if (!this._rowsMirrorCollection()) {
+            const collection = this._rawCollection();
+            collection.splice(to, 0, ...collection.splice(from, 1));
+            this._refreshView();
+            return this;
+        }
+
+        const [row] = this._rows.splice(from, 1);
+        this._rows.splice(to, 0, row);
+        const collection = this._rawCollection();
+        collection.splice(to, 0, ...collection.splice(from, 1));
+
+        this._listContainer.insertBefore(row.element, this._rowAnchor(to + 1));
+        try {
+            this._afterRowsChanged();
+        } finally {
+            this._discardLayout();
+        }
+        return this;
+    }
+
+    /**
+     * @private
+     * - Kiểm tra, tạo dòng và chèn liên tiếp các phần tử vào vị trí `index`
+     * @param {number} index
+     * @param {T[]} items
+     */
+    _insertItems(index, items) {
+        items.forEach((item, offset) => this._validateItem(item, index + offset));
+        if (this._reactive) items = items.map(item => this._reactive.collection.observeItem(item));
+
+        if (this._keyExtractor) {
+            const keys = items.map(item => this._keyExtractor(item));
+            keys.forEach((key, offset) => {
+                this._assertUniqueKey(key, index + offset);
+                if (keys.indexOf(key) !== offset) {
+                    throw new Error(
+                        `ListView error: Khóa '${String(key)}' của phần tử tại index ${index + offset} đã được dùng bởi phần tử khác.`
+                    );
+                }
+            });
+        }
+
+        if (!this._rowsMirrorCollection()) {
+            this._rawCollection().splice(index, 0, ...items);
+            this._refreshView();
+            return;
+        }
+
+        this._captureLayout();
+        const anchor = this._rowAnchor(index);
+        const rows = items.map((data, offset) => this._createRow(data, index + offset));
+
+        this._rows.splice(index, 0, ...rows);
+        this._rawCollection().splice(index, 0, ...items);
+
+        rows.forEach(row => {
+            // Gọi hook trước khi thêm phần tử
+            this._emit("beforeItemAdded", row.element, row.data);
+
+            this._listContainer.insertBefore(row.element, anchor);
+
+            // Gọi hook sau khi thêm phần tử
+            this._emit("afterItemAdded", row.element, row.data);
+        });
+    }
+
+    /**
+     * @private
+     * - Trả về node đứng tại vị trí `index` để làm mốc `insertBefore`, `null` nghĩa là chèn vào cuối container
+     * @param {number} index
+     * @returns {HTMLElement | null}
+     */
+    _rowAnchor(index) {
+        return this._rows[index]?.element ?? this._listEnd();
+    }
+
+    /**
+     * @private
+     * - Trả về node đứng ngay sau dòng cuối cùng của danh sách, `null` nếu sau các dòng không còn node nào do ListView quản lý
+     * - Thứ tự trong container: phần giữ chỗ đầu, các dòng, phần giữ chỗ cuối, phần tử trạng thái, sentinel của infinite scroll
+     * @returns {HTMLElement | null}
+     */
+    _listEnd() {
+        return this._virtual?.bottomSpacer ?? this._stateView ?? this._dataSource?.sentinel ?? null;
+    }
+
+    /**
+     * @private
+     * - Lấy các phần tử trạng thái (`lv-empty`, `lv-loading`, `lv-error`) ra khỏi container để dùng về sau
+     */
+    _extractStateElements() {
+        const attributes = {
+            empty: ListView.EMPTY_ATTRIBUTE,
+            loading: ListView.LOADING_ATTRIBUTE,
+            error: ListView.ERROR_ATTRIBUTE,
+        };
+
+        for (const [state, attribute] of Object.entries(attributes)) {
+            this._stateElements[state] = this._extractMarkedChild(attribute);
+        }
+
+        const errorElement = this._stateElements.error ?? document.createElement("div");
+        this._errorBinding = new TemplateBinding(errorElement, ListView.BINDING_PREFIX);
+        errorElement.addEventListener("click", event => {
+            const button = /** @type {Element} */ (event.target).closest(`[${ListView.RETRY_ATTRIBUTE}]`);
+            if (!button || !errorElement.contains(button) || !this._loadState.retry) return;
+
+            const retry = this._loadState.retry;
+            this.setError(null);
+            retry();
+        }, { signal: this._teardown.signal });
+    }
+
+    /**
+     * @private
+     * - Gỡ khỏi container các phần tử con mang thuộc tính `attribute` và trả về phần tử đầu tiên (đã bỏ thuộc tính)
+     * @param {string} attribute
+     * @returns {HTMLElement | null}
+     */
+    _extractMarkedChild(attribute) {
+        const elements = [...this._listContainer.children].filter(child => child.hasAttribute(attribute));
+        if (elements.length > 1) {
+            ListView.LOG && console.warn(
+                `ListView warning: Container có nhiều phần tử mang thuộc tính '${attribute}', ListView chỉ lấy phần tử đầu tiên.`,
+                this._listContainer
+            );
+        }
+        elements.forEach(element => element.remove());
+
+        const element = /** @type {HTMLElement | undefined} */ (elements[0]);
+        element?.removeAttribute(attribute);
+        return element ?? null;
+    }
+
+    /**
+     * @private
+     * - Đảm bảo có cách binding dữ liệu vào dòng: `dataBinder` hoặc binding khai báo trong mẫu
+     */
+    _assertBinder() {
+        if (!this._dataBinder && [...this._templates.values()].every(template => template.binding.isEmpty)) {
+            throw new Error(
+                "ListView error: 'dataBinder' hoặc các thuộc tính binding trong mẫu cần được thiết lập trước khi gọi 'render'."
+            );
+        }
+    }
+
+    /**
+     * @private
+     * - Gỡ các dòng render sẵn từ server khi danh sách được render mà không qua `hydrate`
+     */
+    _discardServerRows() {
+        if (!this._serverRows) return;
+        this._serverRows.forEach(element => element.remove());
+        this._serverHeaders.forEach(element => element.remove());
+        this._serverRows = null;
+        this._serverHeaders = null;
+    }
+
+    /**
+     * @private
+     * - Ghép các dòng tiêu đề nhóm render sẵn theo thứ tự với các nhóm của danh sách vừa hydrate để `_syncGroupHeaders` dùng lại,
+     * tiêu đề thừa (hoặc khi không dùng `groupBy`) bị gỡ
+     */
+    _adoptServerHeaders() {
+        const serverHeaders = this._serverHeaders;
+        this._serverHeaders = null;
+
+        const grouping = this._grouping;
+        if (grouping) {
+            const groupKeys = [];
+            this._rows.forEach((row, index) => {
+                const key = grouping.keyExtractor(row.data);
+                if (index === 0 || key !== groupKeys[groupKeys.length - 1]) groupKeys.push(key);
+            });
+            grouping.headers.forEach(header => header.element.remove());
+            grouping.headers = serverHeaders.splice(0, groupKeys.length).map((element, index) => ({ key: groupKeys[index], element }));
+        }
+        serverHeaders.forEach(element => element.remove());
+    }
+
+    /**
+     * @private
+     * - Gọi callback của phương thức `...Call` (nếu có) và các listener đã đăng ký bằng `on` cho một sự kiện
+     * @param {ListViewEvent} event
+     * @param {...any} args
+     */
+    _emit(event, ...args) {
+        const field = HOOK_FIELDS[event];
+        if (field && this[field]) this[field](...args);
+
+        const listeners = this._listeners.get(event);
+        if (listeners) [...listeners].forEach(listener => listener.call(this, ...args));
+    }
+
+    /**
+     * @private
+     * - Kiểm tra tham số truyền vào `on`, `off`
+     * @param {string} method - Tên phương thức đang gọi, dùng cho thông báo lỗi
+     * @param {string} event
+     * @param {Function} handler
+     */
+    _assertEvent(method, event, handler) {
+        if (!EVENTS.has(event)) {
+            throw new Error(
+                `ListView error: Sự kiện '${event}' truyền vào '${method}' không hợp lệ, chỉ chấp nhận: ${[...EVENTS].join(", ")}.`
+            );
+        }
+        if (typeof handler !== "function") {
+            throw new Error(`ListView error: 'handler' truyền vào '${method}' phải là một hàm hợp lệ.`);
+        }
+    }
+
+    /**
+     * @private
+     * - Đảm bảo chế độ cây đã được bật
+     * @param {string} method - Tên phương thức đang gọi, dùng cho thông báo lỗi
+     * @returns {NonNullable<ListView<T>['_tree']>}
+     */
+    _assertTree(method) {
+        if (!this._tree) {
+            throw new Error(`ListView error: Cần bật chế độ cây bằng 'treeBy' trước khi gọi '${method}'.`);
+        }
+        return this._tree;
+    }
+
+    /**
+     * @private
+     * - Cập nhật những phần phụ thuộc vào các dòng đang hiển thị sau mỗi lần danh sách thay đổi
+     */
+    _afterRowsChanged() {
+        this._syncGroupHeaders();
+        this._syncTree();
+        this._pruneSelection();
+        this._syncSelection();
+        this._syncReorder();
+        this._updateStateView();
+        this._runAnimations();
+    }
+
+    /**
+     * @private
+     * - Tìm dòng chứa phần tử phát sinh sự kiện
+     * @param {Event} event
+     * @returns {ListRow<T> | null}
+     */
+    _rowFromEvent(event) {
+        let element = /** @type {Element | null} */ (event.target);
+        while (element && element.parentElement !== this._listContainer) element = element.parentElement;
+        return element ? this._rows.find(row => row.element === element) ?? null : null;
+    }
+
+    /**
+     * @private
+     * - Thay tập khóa được chọn, cập nhật giao diện và gọi hook nếu có thay đổi
+     * @param {any[]} keys
+     */
+    _changeSelection(keys) {
+        const selection = this._selection;
+        const nextKeys = new Set(keys);
+        const changed = nextKeys.size !== selection.keys.size || [...nextKeys].some(key => !selection.keys.has(key));
+
+        selection.keys = nextKeys;
+        this._syncSelection();
+        if (changed) this._emit("selectionChanged", this.getSelection());
+    }
+
+    /**
+     * @private
+     * - Bỏ chọn các khóa không còn trong `dataCollection` sau khi dòng bị gỡ hoặc thay thế,
+     * để phần tử cùng khóa được thêm lại sau đó không bị chọn sẵn
+     * - Ở chế độ cây, nút con không nằm trong `dataCollection` nên khóa được giữ nguyên
+     */
+    _pruneSelection() {
+        const selection = this._selection;
+        if (!selection.keys.size || this._tree) return;
+
+        const keys = new Set(this.dataCollection.map(data => this._rowKey(data)));
+        if (!keys.has(selection.anchorKey)) selection.anchorKey = undefined;
+        const remaining = [...selection.keys].filter(key => keys.has(key));
+        if (remaining.length !== selection.keys.size) this._changeSelection(remaining);
+    }
+
+    /**
+     * @private
+     * - Cập nhật `aria-selected` và roving `tabindex` cho các dòng đang hiển thị
+     * - Tiêu đề nhóm không phải là lựa chọn nên được đặt `role="presentation"` trong `listbox`
+     */
+    _syncSelection() {
+        const selection = this._selection;
+        if (selection.mode === "none") return;
+
+        this._grouping?.headers.forEach(({ element }) => element.setAttribute("role", "presentation"));
+
+        const activeRow = this._rows.find(row => row.key === selection.activeKey) ?? this._rows[0];
+        this._rows.forEach(row => {
+            row.element.setAttribute("role", this._tree ? "treeitem" : "option");
+            row.element.setAttribute("aria-selected", String(selection.keys.has(row.key)));
+            row.element.tabIndex = row === activeRow ? 0 : -1;
+        });
+    }
+
+    /**
+     * @private
+     * - Chuyển focus tới dòng tại vị trí `index` của danh sách hiển thị, cuộn tới dòng đó nếu cần (kể cả ở chế độ virtual)
+     * @param {number} index
+     */
+    _focusIndex(index) {
+        const key = this._rowKey(this._view[index]);
+        this._selection.activeKey = key;
+
+        let row = this._rows.find(row => row.key === key);
+        if (!row && this._virtual) {
+            this.scrollToIndex(index, "center");
+            row = this._rows.find(row => row.key === key);
+        }
+
+        this._syncSelection();
+        this._syncTree();
+        if (row) {
+            row.element.focus({ preventScroll: true });
+            row.element.scrollIntoView({ block: "nearest" });
+        }
+    }
+
+    /**
+     * @private
+     * - Chọn các phần tử trong khoảng từ dòng mốc tới `index` của danh sách hiển thị
+     * @param {number} index
+     */
+    _selectRange(index) {
+        const anchorIndex = Math.max(0, this._view.findIndex(data => this._rowKey(data) === this._selection.anchorKey));
+        const [from, to] = anchorIndex < index ? [anchorIndex, index] : [index, anchorIndex];
+        this._changeSelection(this._view.slice(from, to + 1).map(data => this._rowKey(data)));
+    }
+
+    /**
+     * @private
+     * - Xử lý click chọn dòng
+     * @param {MouseEvent} event
+     */
+    _onSelectionClick(event) {
+        const selection = this._selection;
+        const row = this._rowFromEvent(event);
+        if (selection.mode === "none" || !row) return;
+
+        selection.activeKey = row.key;
+        if (selection.mode === "multiple" && event.shiftKey) {
+            this._selectRange(this._view.indexOf(row.data));
+            return;
+        }
+
+        selection.anchorKey = row.key;
+        if (selection.mode === "multiple" && (event.ctrlKey || event.metaKey)) {
+            const keys = new Set(selection.keys);
+            if (keys.has(row.key)) keys.delete(row.key);
+            else keys.add(row.key);
+            this._changeSelection([...keys]);
+        } else {
+            this._changeSelection([row.key]);
+        }
+    }
+
+    /**
+     * @private
+     * - Điều hướng bằng bàn phím theo mẫu listbox của WAI-ARIA
+     * @param {KeyboardEvent} event
+     */
+    _onSelectionKeydown(event) {
+        const selection = this._selection;
+        if (selection.mode === "none" || !this._view.length || !this._rowFromEvent(event)) return;
+        // Alt + mũi tên dùng để đổi vị trí dòng ở chế độ reorderable
+        if (this._reorder && event.altKey) return;
+
+        const lastIndex = this._view.length - 1;
+        const currentIndex = Math.max(0, this._view.findIndex(data => this._rowKey(data) === selection.activeKey));
+        const multiple = selection.mode === "multiple";
+        let nextIndex;
+
+        switch (event.key) {
+            case "ArrowDown":
+                nextIndex = Math.min(currentIndex + 1, lastIndex);
+                break;
+            case "ArrowUp":
+                nextIndex = Math.max(currentIndex - 1, 0);
+                break;
+            case "Home":
+                nextIndex = 0;
+                break;
+            case "End":
+                nextIndex = lastIndex;
+                break;
+            case " ": {
+                event.preventDefault();
+                const key = this._rowKey(this._view[currentIndex]);
+                selection.anchorKey = key;
+                if (!multiple) this._changeSelection([key]);
+                else if (selection.keys.has(key)) this._changeSelection([...selection.keys].filter(selected => selected !== key));
+                else this._changeSelection([...selection.keys, key]);
+                return;
+            }
+            case "a":
+            case "A":
+                if (!multiple || !(event.ctrlKey || event.metaKey)) return;
+                event.preventDefault();
+                this._changeSelection(this._view.map(data => this._rowKey(data)));
+                return;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        if (selection.anchorKey === undefined) selection.anchorKey = this._rowKey(this._view[currentIndex]);
+        this._focusIndex(nextIndex);
+
+        if (multiple && event.shiftKey) {
+            this._selectRange(nextIndex);
+            return;
+        }
+
+        selection.anchorKey = selection.activeKey;
+        if (!multiple) this._changeSelection([selection.activeKey]);
+    }
+
+    /**
+     * @private
+     * - Cập nhật thuộc tính ARIA, độ thụt lề của các dòng đang hiển thị ở chế độ cây
+     * - Khi chưa bật chế độ lựa chọn, roving `tabindex` cũng do chế độ cây quản lý
+     */
+    _syncTree() {
+        const tree = this._tree;
+        if (!tree) return;
+
+        const selection = this._selection;
+        const activeRow = selection.mode === "none" ? this._rows.find(row => row.key === selection.activeKey) ?? this._rows[0] : null;
+
+        this._listContainer.setAttribute("role", "tree");
+        this._rows.forEach(row => {
+            const { element } = row;
+            const node = tree.nodes.get(row.data);
+
+            element.setAttribute("role", "treeitem");
+            element.setAttribute("aria-level", String(node.depth + 1));
+            element.setAttribute("aria-setsize", String(node.setSize));
+            element.setAttribute("aria-posinset", String(node.posInSet));
+            if (node.expandable) element.setAttribute("aria-expanded", String(node.expanded));
+            else element.removeAttribute("aria-expanded");
+            if (node.loading) element.setAttribute("aria-busy", "true");
+            else element.removeAttribute("aria-busy");
+
+            element.style.setProperty("--lv-depth", String(node.depth));
+            if (tree.indent) element.style.paddingInlineStart = `${node.depth * tree.indent}px`;
+            if (activeRow) element.tabIndex = row === activeRow ? 0 : -1;
+        });
+    }
+
+    /**
+     * @private
+     * - Xử lý click vào phần tử `lv-toggle` để mở/đóng nút
+     * @param {MouseEvent} event
+     */
+    _onTreeClick(event) {
+        const row = this._rowFromEvent(event);
+        const toggle = /** @type {Element} */ (event.target).closest(`[${ListView.TOGGLE_ATTRIBUTE}]`);
+        if (!row || !toggle || !row.element.contains(toggle)) return;
+
+        if (this.isExpanded(row.data)) this.collapse(row.data);
+        else this.expand(row.data);
+    }
+
+    /**
+     * @private
+     * - Điều hướng bằng bàn phím theo mẫu tree của WAI-ARIA
+     * - Khi đã bật chế độ lựa chọn, các phím lên/xuống, Home, End do `_onSelectionKeydown` xử lý
+     * @param {KeyboardEvent} event
+     */
+    _onTreeKeydown(event) {
+        const tree = this._tree;
+        const selection = this._selection;
+        const row = this._rowFromEvent(event);
+        if (!row) return;
+
+        const index = this._view.indexOf(row.data);
+        const node = tree.nodes.get(row.data);
+        let nextIndex = -1;
+
+        switch (event.key) {
+            case "ArrowRight":
+                if (node.expandable && !node.expanded) this.expand(row.data);
+                else if (node.expanded && tree.nodes.get(this._view[index + 1])?.parent === row.data) nextIndex = index + 1;
+                break;
+            case "ArrowLeft":
+                if (node.expanded) this.collapse(row.data);
+                else if (node.parent) nextIndex = this._view.indexOf(node.parent);
+                break;
+            case "*":
+                this._view.forEach(data => {
+                    const sibling = tree.nodes.get(data);
+                    if (sibling.parent === node.parent && sibling.expandable) tree.expandedKeys.add(this._rowKey(data));
+                });
+                this._refreshView();
+                break;
+            case "ArrowDown":
+            case "ArrowUp":
+            case "Home":
+            case "End":
+                if (selection.mode !== "none") return;
+                nextIndex =
+                    event.key === "ArrowDown" ? Math.min(index + 1, this._view.length - 1) :
+                    event.key === "ArrowUp" ? Math.max(index - 1, 0) :
+                    event.key === "Home" ? 0 :
+                    this._view.length - 1;
+                break;
+            default:
+                return;
+        }
+
+        event.preventDefault();
+        if (nextIndex < 0) return;
+
+        this._focusIndex(nextIndex);
+        if (selection.mode === "single") {
+            selection.anchorKey = selection.activeKey;
+            this._changeSelection([selection.activeKey]);
+        }
+    }
+
+    /**
+     * @private
+     * - Ghi lại vị trí các dòng đang hiển thị ngay trước khi danh sách thay đổi, dùng cho hiệu ứng ở chế độ `animate`
+     * - Không ghi lại gì (không chạy hiệu ứng) khi người dùng bật `prefers-reduced-motion: reduce`
+     */
+    _captureLayout() {
+        const animation = this._animation;
+        if (!animation) return;
+
+        const reducedMotion = typeof matchMedia === "function" && matchMedia("(prefers-reduced-motion: reduce)").matches;
+        if (reducedMotion) {
+            animation.snapshot = null;
+            return;
+        }
+
+        const container = this._listContainer;
+        const containerRect = container.getBoundingClientRect();
+        const originTop = containerRect.top + container.clientTop - container.scrollTop;
+        const originLeft = containerRect.left + container.clientLeft - container.scrollLeft;
+        animation.snapshot = new Map(this._rows.map(({ element }) => {
+            const rect = element.getBoundingClientRect();
+            return [element, { rect, top: rect.top - originTop, left: rect.left - originLeft }];
+        }));
+    }
+
+    /**
+     * @private
+     * - Bỏ vị trí đã ghi lại bởi `_captureLayout` khi thay đổi bị lỗi giữa chừng để lần thay đổi sau không dùng vị trí cũ,
+     * các dòng đang chờ chạy hiệu ứng biến mất được gỡ ngay
+     */
+    _discardLayout() {
+        const animation = this._animation;
+        if (!animation?.snapshot) return;
+
+        animation.snapshot = null;
+        const leaving = animation.leaving;
+        animation.leaving = [];
+        leaving.forEach(row => {
+            row.element.remove();
+            this._emit("afterItemRemoved", row.element, row.data);
+        });
+    }
+
+    /**
+     * @private
+     * - Gỡ phần tử của một dòng khỏi container, nếu đang chạy hiệu ứng thì giữ lại để chạy hiệu ứng biến mất trước
+     * @param {ListRow<T>} row
+     */
+    _removeRowElement(row) {
+        if (this._animation?.snapshot?.has(row.element)) {
+            this._animation.leaving.push(row);
+            return;
+        }
+        row.element.remove();
+        this._emit("afterItemRemoved", row.element, row.data);
+    }
+
+    /**
+     * @private
+     * - Chạy hiệu ứng cho lần thay đổi vừa xong, so sánh với vị trí đã ghi lại trong `_captureLayout`:
+     *      - Dòng bị gỡ: đặt `position: absolute` tại vị trí cũ để không chiếm chỗ, chạy hiệu ứng biến mất rồi mới gỡ khỏi DOM
+     *      - Dòng mới: chạy hiệu ứng xuất hiện
+     *      - Dòng đổi vị trí: dịch về vị trí cũ bằng `transform` rồi chạy hiệu ứng về vị trí mới
+     */
+    _runAnimations() {
+        const animation = this._animation;
+        const snapshot = animation?.snapshot;
+        if (!snapshot) return;
+
+        animation.snapshot = null;
+        const leaving = animation.leaving;
+        animation.leaving = [];
+        const { enter: enterClass, leave: leaveClass, move: moveClass } = ListView.ANIMATION_CLASSES;
+
+        // Đưa các dòng bị gỡ ra khỏi luồng bố cục trước khi đo vị trí mới
+        leaving.forEach(row => {
+            const { element } = row;
+            const { rect, top, left } = snapshot.get(element);
+            Object.assign(element.style, {
+                position: "absolute",
+                top: `${top}px`,
+                left: `${left}px`,
+                width: `${rect.width}px`,
+                height: `${rect.height}px`,
+                margin: "0",
+                pointerEvents: "none",
+            });
+        });
+
+        /** @type {{ element: HTMLElement, dx: number, dy: number }[]} */
+        const moves = [];
+        /** @type {HTMLElement[]} */
+        const entering = [];
+        this._rows.forEach(({ element }) => {
+            const previous = snapshot.get(element);
+            if (!previous) {
+                if (snapshot.size || animation.appear) entering.push(element);
+                return;
+            }
+            const rect = element.getBoundingClientRect();
+            const dx = previous.rect.left - rect.left;
+            const dy = previous.rect.top - rect.top;
+            if (dx || dy) moves.push({ element, dx, dy });
+        });
+
+        const finish = (element, className, callback) => {
+            afterAnimations(element).then(() => {
+                if (className) element.classList.remove(className);
+                callback?.();
+            });
+        };
+        const remove = row => {
+            row.element.remove();
+            this._emit("afterItemRemoved", row.element, row.data);
+        };
+
+        if (animation.mode === "waapi" && typeof HTMLElement.prototype.animate === "function") {
+            const timing = { duration: animation.duration, easing: animation.easing };
+            leaving.forEach(row => row.element.animate(animation.leave, timing).finished.catch(() => {}).then(() => remove(row)));
+            entering.forEach(element => element.animate(animation.enter, timing));
+            moves.forEach(({ element, dx, dy }) =>
+                element.animate([{ transform: `translate(${dx}px, ${dy}px)` }, { transform: "none" }], timing)
+            );
+            return;
+        }
+
+        leaving.forEach(row => {
+            row.element.classList.add(leaveClass);
+            finish(row.element, leaveClass, () => remove(row));
+        });
+        entering.forEach(element => {
+            element.classList.add(enterClass);
+            finish(element, enterClass);
+        });
+
+        // FLIP: đặt các dòng về vị trí cũ, ép trình duyệt tính lại bố cục, sau đó bật class `lv-move` để transition về vị trí mới
+        moves.forEach(({ element, dx, dy }) => {
+            element.classList.remove(moveClass);
+            element.style.transition = "none";
+            element.style.transform = `translate(${dx}px, ${dy}px)`;
+        });
+        if (moves.length) void this._listContainer.offsetHeight;
+        moves.forEach(({ element }) => {
+            element.style.transition = "";
+            element.style.transform = "";
+            element.classList.add(moveClass);
+            finish(element, moveClass);
+        });
+    }
+
+    /**
+     * @private
+     * - Cho phép focus các dòng (để đổi vị trí bằng bàn phím) và tắt cuộn cảm ứng trên vùng kéo ở chế độ reorderable
+     */
+    _syncReorder() {
+        if (!this._reorder) return;
+
+        const handleSelector = `[${ListView.DRAG_HANDLE_ATTRIBUTE}]`;
+        this._rows.forEach(({ element }) => {
+            if (!element.hasAttribute("tabindex")) element.tabIndex = 0;
+
+            const handles = element.querySelectorAll(handleSelector);
+            if (handles.length) handles.forEach(handle => handle.style.touchAction = "none");
+            else element.style.touchAction = "none";
+        });
+    }
+
+    /**
+     * @private
+     * - Bắt đầu theo dõi thao tác kéo khi nhấn vào một dòng (hoặc tay nắm của dòng)
+     * @param {PointerEvent} event
+     */
+    _onDragStart(event) {
+        const reorder = this._reorder;
+        const row = this._rowFromEvent(event);
+        if (reorder.drag || !row || !event.isPrimary || event.button !== 0 || !this._rowsMirrorCollection()) return;
+
+        const handleSelector = `[${ListView.DRAG_HANDLE_ATTRIBUTE}]`;
+        if (row.element.querySelector(handleSelector)) {
+            const handle = /** @type {Element} */ (event.target).closest(handleSelector);
+            if (!handle || !row.element.contains(handle)) return;
+        }
+
+        reorder.suppressClick = false;
+        reorder.drag = {
+            row,
+            pointerId: event.pointerId,
+            startY: event.clientY,
+            clientY: event.clientY,
+            from: this._rows.indexOf(row),
+            to: this._rows.indexOf(row),
+            top: 0,
+            style: "",
+            placeholder: null,
+            frame: 0,
+        };
+    }
+
+    /**
+     * @private
+     * - Di chuyển dòng đang kéo theo con trỏ và cập nhật vị trí thả
+     * - Dòng chỉ bắt đầu được kéo khi con trỏ đã di chuyển quá vài px, để không ảnh hưởng tới click thông thường
+     * @param {PointerEvent} event
+     */
+    _onDragMove(event) {
+        const drag = this._reorder.drag;
+        if (!drag || event.pointerId !== drag.pointerId) return;
+
+        drag.clientY = event.clientY;
+        if (!drag.placeholder) {
+            if (Math.abs(event.clientY - drag.startY) < 5) return;
+
+            const { element } = drag.row;
+            const rect = element.getBoundingClientRect();
+            const placeholder = document.createElement(this._itemTemplate.tagName);
+            placeholder.setAttribute(ListView.PLACEHOLDER_ATTRIBUTE, "");
+            placeholder.setAttribute("aria-hidden", "true");
+            placeholder.style.height = `${rect.height}px`;
+            element.before(placeholder);
+
+            drag.placeholder = placeholder;
+            this._listContainer.setPointerCapture?.(drag.pointerId);
+            drag.top = rect.top;
+            drag.style = element.style.cssText;
+            element.setAttribute(ListView.DRAGGING_ATTRIBUTE, "");
+            Object.assign(element.style, {
+                position: "fixed",
+                top: `${rect.top}px`,
+                left: `${rect.left}px`,
+                width: `${rect.width}px`,
+                zIndex: "1000",
+                pointerEvents: "none",
+            });
+            this._autoScroll();
+        }
+
+        event.preventDefault();
+        this._updateDrag();
+    }
+
+    /**
+     * @private
+     * - Đặt dòng đang kéo theo vị trí con trỏ và dời phần tử giữ chỗ tới trước dòng đầu tiên có điểm giữa nằm dưới con trỏ
+     */
+    _updateDrag() {
+        const drag = this._reorder.drag;
+        drag.row.element.style.top = `${drag.top + drag.clientY - drag.startY}px`;
+
+        const otherRows = this._rows.filter(row => row !== drag.row);
+        const nextIndex = otherRows.findIndex(({ element }) => {
+            const rect = element.getBoundingClientRect();
+            return drag.clientY < rect.top + rect.height / 2;
+        });
+
+        drag.to = nextIndex === -1 ? otherRows.length : nextIndex;
+        const anchor = nextIndex === -1 ? otherRows[otherRows.length - 1]?.element.nextSibling ?? null : otherRows[nextIndex].element;
+        if (anchor !== drag.placeholder && drag.placeholder.nextSibling !== anchor) {
+            this._listContainer.insertBefore(drag.placeholder, anchor);
+        }
+    }
+
+    /**
+     * @private
+     * - Tự cuộn container khi con trỏ ở gần mép trên/dưới trong lúc kéo, lặp lại mỗi frame cho tới khi thả
+     */
+    _autoScroll() {
+        const reorder = this._reorder;
+        const drag = reorder.drag;
+        if (!drag?.placeholder) return;
+
+        const container = this._listContainer;
+        const rect = container.getBoundingClientRect();
+        const delta =
+            drag.clientY < rect.top + reorder.autoScrollMargin ? -reorder.autoScrollSpeed :
+            drag.clientY > rect.bottom - reorder.autoScrollMargin ? reorder.autoScrollSpeed :
+            0;
+
+        if (delta && container.scrollHeight > container.clientHeight) {
+            const scrollTop = container.scrollTop;
+            container.scrollTop += delta;
+            if (container.scrollTop !== scrollTop) this._updateDrag();
+        }
+        drag.frame = requestAnimationFrame(() => this._autoScroll());
+    }
+
+    /**
+     * @private
+     * - Kết thúc thao tác kéo: trả dòng về vị trí bình thường, nếu `commit` thì di chuyển phần tử tới vị trí thả
+     * @param {PointerEvent | KeyboardEvent} event
+     * @param {boolean} commit - Thả (`true`) hay hủy (`false`)
+     */
+    _endDrag(event, commit) {
+        const reorder = this._reorder;
+        const drag = reorder.drag;
+        if (!drag || ("pointerId" in event && event.pointerId !== drag.pointerId)) return;
+
+        reorder.drag = null;
+        if (!drag.placeholder) return;
+
+        this._listContainer.releasePointerCapture?.(drag.pointerId);
+
+        cancelAnimationFrame(drag.frame);
+        drag.placeholder.remove();
+        drag.row.element.style.cssText = drag.style;
+        drag.row.element.removeAttribute(ListView.DRAGGING_ATTRIBUTE);
+        reorder.suppressClick = event.type === "pointerup";
+
+        if (commit) this._commitReorder(drag.from, drag.to);
+    }
+
+    /**
+     * @private
+     * - Đổi vị trí phần tử trong `dataCollection` và phát sự kiện `reorder`
+     * @param {number} from
+     * @param {number} to
+     */
+    _commitReorder(from, to) {
+        if (from === to) return;
+
+        const data = this.dataCollection[from];
+        this.move(from, to);
+        this._emit("reorder", from, to, data);
+    }
+
+    /**
+     * @private
+     * - Đổi vị trí dòng bằng Alt + mũi tên lên/xuống, hủy thao tác kéo bằng Escape
+     * @param {KeyboardEvent} event
+     */
+    _onReorderKeydown(event) {
+        if (event.key === "Escape" && this._reorder.drag) {
+            event.preventDefault();
+            this._endDrag(event, false);
+            return;
+        }
+        if (!event.altKey || (event.key !== "ArrowUp" && event.key !== "ArrowDown")) return;
+
+        const row = this._rowFromEvent(event);
+        if (!row || !this._rowsMirrorCollection()) return;
+
+        event.preventDefault();
+        const from = this._rows.indexOf(row);
+        const to = event.key === "ArrowUp" ? from - 1 : from + 1;
+        if (to < 0 || to >= this._rows.length) return;
+
+        this._commitReorder(from, to);
+        row.element.focus();
+    }
+
+    /**
+     * @private
+     * - Đặt dòng tiêu đề ngay trước dòng đầu tiên của mỗi nhóm, tái sử dụng các dòng tiêu đề cũ có cùng khóa nhóm
+     */
+    _syncGroupHeaders() {
+        const grouping = this._grouping;
+        if (!grouping) return;
+
+        /** @type {{ key: any, items: T[], firstElement: HTMLElement }[]} */
+        const groups = [];
+        this._rows.forEach(row => {
+            const key = grouping.keyExtractor(row.data);
+            const lastGroup = groups[groups.length - 1];
+            if (lastGroup && lastGroup.key === key) lastGroup.items.push(row.data);
+            else groups.push({ key, items: [row.data], firstElement: row.element });
+        });
+
+        /** @type {Map<any, { key: any, element: HTMLElement }[]>} */
+        const reusableHeaders = new Map();
+        grouping.headers.forEach(header => {
+            if (!reusableHeaders.has(header.key)) reusableHeaders.set(header.key, []);
+            reusableHeaders.get(header.key).push(header);
+        });
+
+        grouping.headers = groups.map(({ key, items, firstElement }) => {
+            const header = reusableHeaders.get(key)?.shift()
+                ?? { key, element: /** @type {HTMLElement} */ (this._groupHeaderTemplate.element.cloneNode(true)) };
+
+            this._groupHeaderTemplate.binding.bind(header.element, { key, items }, this._view.indexOf(items[0]));
+            if (grouping.headerBinder) grouping.headerBinder(header.element, { key, items });
+
+            if (firstElement.previousElementSibling !== header.element) {
+                this._listContainer.insertBefore(header.element, firstElement);
+            }
+            return header;
+        });
+
+        reusableHeaders.forEach(headers => headers.forEach(header => header.element.remove()));
+    }
+
+    /**
+     * @private
+     * - Hiển thị phần tử trạng thái phù hợp, theo thứ tự ưu tiên: lỗi, đang tải, danh sách rỗng
+     */
+    _updateStateView() {
+        const { empty, loading, error } = this._stateElements;
+        const next =
+            this._loadState.error != null ? error :
+            this._loadState.loading ? loading :
+            this._view.length === 0 ? empty :
+            null;
+
+        if (this._stateView === next) return;
+
+        this._stateView?.remove();
+        this._stateView = null;
+        if (next) {
+            this._listContainer.insertBefore(next, this._dataSource?.sentinel ?? null);
+            this._stateView = next;
+        }
+    }
+
+    /**
+     * @private
+     * - Các dòng có tương ứng 1-1, đúng thứ tự với `dataCollection` hay không
+     * (không virtual, không ở chế độ cây, không đang render chia nhỏ, không lọc, tìm kiếm hay sắp xếp)
+     * - Khi không tương ứng, các phương thức thao tác danh sách sẽ cập nhật `dataCollection` rồi đối chiếu lại danh sách hiển thị
+     * @returns {boolean}
+     */
+    _rowsMirrorCollection() {
+        return !this._virtual && !this._tree && !this._chunking?.task && !this._sortComparator && !this._filterPredicate && !this._searchQuery;
+    }
+
+    /**
+     * @private
+     * - Tính danh sách hiển thị từ `dataCollection` theo điều kiện lọc, tìm kiếm và sắp xếp hiện tại
+     * - Ở chế độ cây, danh sách hiển thị gồm các nút gốc và con của những nút đang mở, theo thứ tự duyệt cây
+     * @returns {T[]}
+     */
+    _computeView() {
+        const roots = this._transformLevel(this.dataCollection);
+        return this._tree ? this._flattenTree(roots) : roots;
+    }
+
+    /**
+     * @private
+     * - Áp dụng điều kiện lọc, tìm kiếm và sắp xếp cho một danh sách, trả về chính danh sách đó khi không có điều kiện nào
+     * @param {T[]} items
+     * @returns {T[]}
+     */
+    _transformLevel(items) {
+        const filter = this._filterPredicate;
+        const search = this._searchQuery;
+        if (!filter && !search && !this._sortComparator) return items;
+
+        const view = items.filter((data, index) =>
+            (!filter || filter(data, index)) && (!search || matchesSearch(data, search.query, search.fields))
+        );
+        if (this._sortComparator) view.sort(this._sortComparator);
+        return view;
+    }
+
+    /**
+     * @private
+     * - Duyệt cây từ các nút gốc, ghi lại vị trí của từng nút vào `_tree.nodes` và trả về danh sách các nút đang hiển thị
+     * @param {T[]} roots
+     * @returns {T[]}
+     */
+    _flattenTree(roots) {
+        const tree = this._tree;
+        /** @type {T[]} */
+        const view = [];
+        tree.nodes = new Map();
+
+        const visit = (items, depth, parent) => {
+            items.forEach((data, index) => {
+                const key = this._rowKey(data);
+                const expanded = tree.expandedKeys.has(key);
+                const children = expanded || !tree.hasChildren ? this._treeChildren(data, key) : null;
+                const expandable = tree.hasChildren ? !!tree.hasChildren(data) : children === null || children.length > 0;
+
+                view.push(data);
+                tree.nodes.set(data, {
+                    depth,
+                    parent,
+                    expandable,
+                    expanded: expanded && expandable,
+                    loading: tree.pending.has(key),
+                    setSize: items.length,
+                    posInSet: index + 1,
+                });
+
+                if (expanded && children) visit(this._transformLevel(children), depth + 1, data);
+            });
+        };
+        visit(roots, 0, null);
+        return view;
+    }
+
+    /**
+     * @private
+     * - Lấy các phần tử con của một nút, trả về `null` khi danh sách con đang được tải bất đồng bộ
+     * - Khi tải xong, danh sách con được ghi nhớ và danh sách hiển thị được đối chiếu lại, nếu lỗi thì nút bị đóng lại
+     * @param {T} data
+     * @param {any} key - Khóa của nút
+     * @returns {T[] | null}
+     */
+    _treeChildren(data, key) {
+        const tree = this._tree;
+        if (tree.loadedChildren.has(key)) return tree.loadedChildren.get(key);
+        if (tree.pending.has(key)) return null;
+
+        const result = tree.getChildren(data);
+        if (typeof result?.then !== "function") {
+            const children = result ?? [];
+            if (!Array.isArray(children)) {
+                throw new Error("ListView error: 'getChildren' phải trả về một mảng, null hoặc Promise của một mảng.");
+            }
+            children.forEach((child, index) => this._validateItem(child, index));
+            return children;
+        }
+
+        const request = Promise.resolve(result)
+            .then(children => {
+                children = children ?? [];
+                if (!Array.isArray(children)) {
+                    throw new Error("ListView error: 'getChildren' phải trả về một mảng, null hoặc Promise của một mảng.");
+                }
+                children.forEach((child, index) => this._validateItem(child, index));
+                tree.loadedChildren.set(key, children);
+            })
+            .catch(error => {
+                ListView.LOG && console.error("*ListView log debug: Tải danh sách con thất bại.", data, error);
+                tree.expandedKeys.delete(key);
+                throw error;
+            })
+            .finally(() => {
+                tree.pending.delete(key);
+                this._refreshView();
+            });
+
+        // Lỗi đã được ghi log, chỉ nơi chờ `expand` mới cần xử lý tiếp
+        request.catch(() => {});
+        tree.pending.set(key, request);
+        return null;
+    }
+
+    /**
+     * @private
+     * - Tính lại danh sách hiển thị và đối chiếu với các dòng đang hiển thị, chỉ di chuyển những dòng cần thiết
+     * - Không gọi lại các hook trước/sau khi render
+     */
+    _refreshView() {
+        try {
+            // Đối chiếu đồng bộ toàn bộ danh sách nên lần render chia nhỏ đang dở cũng hoàn tất luôn
+            this._cancelChunkedRender(true);
+            this._discardServerRows();
+            this._captureLayout();
+            // `dataCollection` có thể đã bị gán trực tiếp từ lần render trước, kiểm tra như `render` trước khi sắp xếp, lọc
+            this.dataCollection.forEach((data, index) => this._validateItem(data, index));
+            this._view = this._computeView();
+
+            if (this._virtual) {
+                this._renderVirtual();
+            } else {
+                this._reconcile(this._view);
+            }
+
+            this._afterRowsChanged();
+        } catch (error) {
+            this._emit("renderError", error);
+            throw error;
+        } finally {
+            this._discardLayout();
+        }
+    }
+
+    /**
+     * @private
+     * - Mảng gốc của `dataCollection`, thao tác nội bộ ghi vào mảng này để không bị chế độ tự động render ghi nhận lại
+     * @returns {T[]}
      */
-    render() {
-        if (!this._dataBinder) {
+    _rawCollection() {
+        const reactive = this._reactive;
+        return reactive && this.dataCollection === reactive.collection.proxy ? reactive.collection.target : this.dataCollection;
+    }
+
+    /**
+     * @private
+     * - Ghi nhận thay đổi từ chế độ tự động render và lên lịch cập nhật trong microtask kế tiếp
+     * @param {boolean} structureChanged - Cấu trúc mảng thay đổi (thêm, gỡ, đổi thứ tự phần tử)
+     */
+    _scheduleReactiveUpdate(structureChanged) {
+        const reactive = this._reactive;
+        if (structureChanged) reactive.structureChanged = true;
+        if (reactive.scheduled) return;
+
+        reactive.scheduled = true;
+        queueMicrotask(() => this._flushReactiveUpdate());
+    }
+
+    /**
+     * @private
+     * - Xử lý các thay đổi đang chờ của chế độ tự động render:
+     *      - Binding lại những dòng đang hiển thị có phần tử bị gán thuộc tính (chế độ `deep`)
+     *      - Đối chiếu lại danh sách hiển thị khi cấu trúc mảng thay đổi, hoặc khi thay đổi thuộc tính có thể ảnh hưởng tới
+     * kết quả lọc, tìm kiếm, sắp xếp và nhóm
+     */
+    _flushReactiveUpdate() {
+        const reactive = this._reactive;
+        if (!reactive) return;
+
+        reactive.scheduled = false;
+        const { structureChanged, changedItems } = reactive;
+        if (!structureChanged && !changedItems.size) return;
+
+        reactive.structureChanged = false;
+        reactive.changedItems = new Set();
+
+        this._rows.forEach(row => {
+            if (changedItems.has(row.data)) this._updateRow(row, row.data, this._view.indexOf(row.data));
+        });
+
+        if (structureChanged || !this._rowsMirrorCollection() || this._grouping) {
+            this._refreshView();
+        } else {
+            this._afterRowsChanged();
+        }
+    }
+
+    /**
+     * @private
+     * - Đảm bảo `dataCollection` chưa bị thay đổi trực tiếp từ bên ngoài kể từ lần render gần nhất
+     * @param {string} method - Tên phương thức đang gọi, dùng cho thông báo lỗi
+     */
+    _assertInSync(method) {
+        this._flushReactiveUpdate();
+        if (this._rowsMirrorCollection() && this._rows.length !== this.dataCollection.length) {
             throw new Error(
-                "ListView error: 'dataBinder' cần được thiết lập trước khi gọi 'render'."
+                `ListView error: 'dataCollection' đã bị thay đổi trực tiếp mà chưa render lại, hãy gọi 'render' trước khi dùng '${method}'.`
             );
         }
+    }
 
-        if (this._beforeRender) this._beforeRender();
+    /**
+     * @private
+     * - Kiểm tra vị trí truyền vào các phương thức thao tác danh sách
+     * @param {string} method - Tên phương thức đang gọi, dùng cho thông báo lỗi
+     * @param {number} index - Vị trí cần kiểm tra
+     * @param {number} max - Vị trí lớn nhất được chấp nhận
+     */
+    _assertIndex(method, index, max) {
+        if (!Number.isInteger(index) || index < 0 || index > max) {
+            throw new RangeError(
+                `ListView error: Vị trí '${index}' truyền vào '${method}' không hợp lệ, phải là số nguyên từ 0 đến ${max}.`
+            );
+        }
+    }
 
-        // Làm rỗng container trước khi render
-        this._listContainer.innerHTML = "";
+    /**
+     * @private
+     * - Đảm bảo khóa chưa được dùng bởi phần tử nào khác trong `dataCollection`
+     * @param {any} key - Khóa cần kiểm tra
+     * @param {number} index - Vị trí của phần tử, dùng cho thông báo lỗi
+     * @param {number} [ignoredIndex] - Vị trí được bỏ qua khi kiểm tra (phần tử đang được cập nhật)
+     */
+    _assertUniqueKey(key, index, ignoredIndex = -1) {
+        if (this.dataCollection.some((data, i) => i !== ignoredIndex && this._keyExtractor(data) === key)) {
+            throw new Error(
+                `ListView error: Khóa '${String(key)}' của phần tử tại index ${index} đã được dùng bởi phần tử khác.`
+            );
+        }
+    }
 
-        this.dataCollection.forEach((data, index) => {
-            if (!(data instanceof this._DataType)) {
+    /**
+     * @private
+     * - Tính khóa của toàn bộ bộ dữ liệu và đảm bảo không có khóa nào bị trùng lặp
+     * @param {T[]} collection
+     * @returns {any[]} - Khóa của từng phần tử, theo đúng thứ tự
+     */
+    _assertUniqueKeys(collection) {
+        const keys = collection.map(data => this._keyExtractor(data));
+        const seenKeys = new Set();
+        keys.forEach((key, index) => {
+            if (seenKeys.has(key)) {
                 ListView.LOG && console.error(
-                    `*ListView log debug: Phần tử không hợp lệ ở index ${index}.`,
-                    data
+                    `*ListView log debug: Khóa bị trùng lặp ở index ${index}.`,
+                    collection[index]
                 );
                 throw new Error(
-                    `ListView error: Phần tử tại index ${index} không phải là instance của lớp '${this._DataType.name}'.`
+                    `ListView error: Khóa '${String(key)}' của phần tử tại index ${index} đã được dùng bởi phần tử khác.`
                 );
             }
+            seenKeys.add(key);
+        });
+        return keys;
+    }
+
+    /**
+     * @private
+     * - Khóa dùng để nhận diện dòng của một phần tử: khóa từ `keyBy`, hoặc chính object dữ liệu
+     * @param {T} data
+     * @returns {any}
+     */
+    _rowKey(data) {
+        return this._keyExtractor ? this._keyExtractor(data) : data;
+    }
+
+    /**
+     * @private
+     * - Kiểm tra phần tử dữ liệu có đúng kiểu `_DataType` hay không
+     * @param {any} data - Phần tử cần kiểm tra
+     * @param {number} index - Vị trí của phần tử, dùng cho thông báo lỗi
+     */
+    _validateItem(data, index) {
+        if (!(data instanceof this._DataType)) {
+            ListView.LOG && console.error(
+                `*ListView log debug: Phần tử không hợp lệ ở index ${index}.`,
+                data
+            );
+            throw new Error(
+                `ListView error: Phần tử tại index ${index} không phải là instance của lớp '${this._DataType.name}'.`
+            );
+        }
+    }
+
+    /**
+     * @private
+     * - Xác định tên mẫu dùng cho một phần tử
+     * @param {T} data
+     * @param {number} index - Vị trí của phần tử, dùng cho thông báo lỗi
+     * @returns {string}
+     */
+    _templateName(data, index) {
+        if (!this._templateSelector) return this._templates.keys().next().value;
+
+        const name = this._templateSelector(data, index);
+        if (!this._templates.has(name)) {
+            ListView.LOG && console.error(
+                `*ListView log debug: Không tìm thấy mẫu cho phần tử ở index ${index}.`,
+                data
+            );
+            throw new Error(
+                `ListView error: Không tìm thấy mẫu '${name}' được chọn cho phần tử tại index ${index}.`
+            );
+        }
+        return name;
+    }
+
+    /**
+     * @private
+     * - Tạo dòng mới (chưa chèn vào container) cho một phần tử
+     * @param {T} data
+     * @param {number} index - Vị trí của phần tử, dùng cho thông báo lỗi
+     * @returns {ListRow<T>}
+     */
+    _createRow(data, index) {
+        const template = this._templateName(data, index);
+        return { key: this._rowKey(data), element: this._createItem(data, index, template), data, template };
+    }
+
+    /**
+     * @private
+     * - Tạo phần tử HTML mới từ mẫu và binding dữ liệu vào
+     * @param {T} data
+     * @param {number} index - Vị trí của phần tử, dùng cho thông báo lỗi
+     * @param {string} template - Tên mẫu
+     * @returns {HTMLElement}
+     */
+    _createItem(data, index, template) {
+        const item = /** @type {HTMLElement} */ (this._templates.get(template).element.cloneNode(true));
+        this._bindItem(item, data, index, template);
+        return item;
+    }
+
+    /**
+     * @private
+     * - Binding dữ liệu vào một dòng: áp dụng binding khai báo trong mẫu rồi gọi `dataBinder` (nếu có)
+     * @param {HTMLElement} item
+     * @param {T} data
+     * @param {number} index - Vị trí của phần tử, dùng cho thông báo lỗi
+     * @param {string} template - Tên mẫu đã dùng để tạo `item`
+     */
+    _bindItem(item, data, index, template) {
+        this._templates.get(template).binding.bind(item, data, index);
+        if (this._dataBinder) this._dataBinder(item, data);
+    }
+
+    /**
+     * @private
+     * - Binding lại một dòng đang hiển thị với dữ liệu mới, nếu dữ liệu mới cần mẫu khác thì thay dòng bằng phần tử tạo từ mẫu đó
+     * @param {ListRow<T>} row
+     * @param {T} data
+     * @param {number} index - Vị trí của phần tử, dùng cho thông báo lỗi
+     */
+    _updateRow(row, data, index) {
+        const template = this._templateName(data, index);
+        row.key = this._rowKey(data);
+
+        if (row.template === template) {
+            row.data = data;
+            this._bindItem(row.element, data, index, template);
+            this._emit("afterItemUpdated", row.element, data);
+            return;
+        }
+
+        this._emit("beforeItemRemoved", row.element, row.data);
+        const element = this._createItem(data, index, template);
+        this._emit("beforeItemAdded", element, data);
+        row.element.replaceWith(element);
+        this._emit("afterItemRemoved", row.element, row.data);
+        Object.assign(row, { element, data, template });
+        this._emit("afterItemAdded", element, data);
+    }
+
+    /**
+     * @private
+     * - Làm rỗng container và dựng lại toàn bộ danh sách
+     * @param {T[]} collection
+     */
+    _rebuild(collection) {
+        this._rows.forEach(row => {
+            this._emit("beforeItemRemoved", row.element, row.data);
+            this._removeRowElement(row);
+        });
+        this._rows = [];
 
-            // Tạo binder và xử lý binding
-            this._dataBinder(this._itemTemplate.cloneNode(true), data);
+        const listEnd = this._listEnd();
+        collection.forEach((data, index) => {
+            const row = this._createRow(data, index);
 
             // Gọi hook trước khi thêm phần tử
-            if (this._beforeItemAdded) this._beforeItemAdded(binder.root, data);
+            this._emit("beforeItemAdded", row.element, data);
 
             // Thêm phần tử vào container
-            this._listContainer.appendChild(binder.root);
+            this._listContainer.insertBefore(row.element, listEnd);
+            this._rows.push(row);
 
             // Gọi hook sau khi thêm phần tử
-            if (this._afterItemAdded) this._afterItemAdded(binder.root, data);
+            this._emit("afterItemAdded", row.element, data);
+        });
+    }
+
+    /**
+     * @private
+     * - Đối chiếu bộ dữ liệu mới với các dòng đang hiển thị theo khóa (hoặc theo chính object dữ liệu khi chưa thiết lập `keyBy`):
+     *      - Dòng có khóa không còn tồn tại sẽ bị gỡ
+     *      - Dòng có khóa mới sẽ được tạo từ mẫu
+     *      - Dòng giữ nguyên khóa nhưng đổi object dữ liệu sẽ được binding lại
+     *      - Chỉ di chuyển những dòng nằm ngoài dãy con tăng dài nhất của thứ tự cũ để hạn chế thao tác DOM
+     * @param {T[]} collection
+     */
+    _reconcile(collection) {
+        const keys = this._keyExtractor ? this._assertUniqueKeys(collection) : [...collection];
+        const newKeys = new Set(keys);
+
+        /** @type {Map<any, { row: ListRow<T>, oldIndex: number }>} */
+        const oldRows = new Map();
+        const removedRows = [];
+        this._rows.forEach((row, oldIndex) => {
+            if (!newKeys.has(row.key) || oldRows.has(row.key)) {
+                removedRows.push(row);
+            } else {
+                oldRows.set(row.key, { row, oldIndex });
+            }
+        });
+
+        // Gỡ các dòng không còn trong bộ dữ liệu
+        removedRows.forEach(row => {
+            this._emit("beforeItemRemoved", row.element, row.data);
+            this._removeRowElement(row);
+        });
+
+        const addedRows = new Set();
+        /** @type {number[]} */
+        const oldIndexes = [];
+        const rows = collection.map((data, index) => {
+            const key = keys[index];
+            const existing = oldRows.get(key);
+
+            if (existing) {
+                // Một object xuất hiện nhiều lần (khi chưa thiết lập `keyBy`) chỉ dùng lại dòng cũ cho lần đầu tiên
+                oldRows.delete(key);
+                oldIndexes[index] = existing.oldIndex;
+                if (existing.row.data !== data) this._updateRow(existing.row, data, index);
+                return existing.row;
+            }
+
+            oldIndexes[index] = -1;
+            const row = this._createRow(data, index);
+            addedRows.add(row);
+
+            // Gọi hook trước khi thêm phần tử
+            this._emit("beforeItemAdded", row.element, data);
+            return row;
+        });
+
+        // Duyệt ngược để luôn có phần tử đứng sau làm mốc chèn
+        const stableIndexes = longestIncreasingSubsequence(oldIndexes);
+        let nextSibling = this._listEnd();
+        for (let index = rows.length - 1; index >= 0; index--) {
+            const row = rows[index];
+            if (!stableIndexes.has(index)) {
+                this._listContainer.insertBefore(row.element, nextSibling);
+            }
+            nextSibling = row.element;
+        }
+
+        this._rows = rows;
+
+        // Gọi hook sau khi thêm phần tử, theo đúng thứ tự dữ liệu
+        addedRows.forEach(row => this._emit("afterItemAdded", row.element, row.data));
+    }
+
+    /**
+     * @private
+     * - Thiết lập nguồn dữ liệu bất đồng bộ, hủy nguồn cũ và làm rỗng danh sách
+     * @param {Function} fetchPage
+     * @param {boolean} cursorBased
+     * @param {{ pageSize?: number, infiniteScroll?: boolean, rootMargin?: string }} options
+     */
+    _initDataSource(fetchPage, cursorBased, { pageSize = 20, infiniteScroll = false, rootMargin = "200px" }) {
+        if (typeof fetchPage !== "function") {
+            throw new Error("ListView error: Nguồn dữ liệu phải là một hàm trả về Promise.");
+        }
+        if (!Number.isInteger(pageSize) || pageSize < 1) {
+            throw new RangeError(`ListView error: 'pageSize' của nguồn dữ liệu phải là số nguyên dương, nhận được '${pageSize}'.`);
+        }
+
+        if (this._dataSource) {
+            this.cancelLoading();
+            this._dataSource.observer?.disconnect();
+            this._dataSource.sentinel?.remove();
+        }
+
+        this._dataSource = {
+            fetch: fetchPage,
+            cursorBased,
+            pageSize,
+            page: 0,
+            cursor: null,
+            hasMore: true,
+            requestId: 0,
+            controller: null,
+            request: null,
+            appending: false,
+            sentinel: null,
+            observer: null,
+        };
+        this.setDataCollection([]);
+
+        if (infiniteScroll) {
+            const source = this._dataSource;
+            source.sentinel = this._createSpacer();
+            source.sentinel.style.height = "1px";
+            this._listContainer.appendChild(source.sentinel);
+
+            const scrollable = this._virtual || getComputedStyle(this._listContainer).overflowY !== "visible";
+            source.observer = new IntersectionObserver(entries => {
+                if (!entries.some(entry => entry.isIntersecting) || !source.hasMore || source.request) return;
+                this.nextPage().catch(error => {
+                    ListView.LOG && console.error("*ListView log debug: Lỗi khi tự động tải trang kế tiếp.", error);
+                });
+            }, { root: scrollable ? this._listContainer : null, rootMargin });
+            source.observer.observe(source.sentinel);
+        }
+    }
+
+    /**
+     * @private
+     * - Đảm bảo đã thiết lập nguồn dữ liệu bất đồng bộ
+     * @param {string} method - Tên phương thức đang gọi, dùng cho thông báo lỗi
+     */
+    _assertDataSource(method) {
+        if (!this._dataSource) {
+            throw new Error(`ListView error: Cần thiết lập nguồn dữ liệu bằng 'setDataSource' hoặc 'setCursorDataSource' trước khi gọi '${method}'.`);
+        }
+        return this._dataSource;
+    }
+
+    /**
+     * @private
+     * - Gửi yêu cầu tải trang, hủy yêu cầu đang chờ và bỏ qua mọi kết quả không thuộc yêu cầu mới nhất
+     * @param {number} page - Số trang cần tải (bỏ qua với nguồn dữ liệu theo con trỏ)
+     * @param {boolean} append - `true` để nối vào cuối danh sách, `false` để thay thế danh sách
+     * @returns {Promise<T[] | null>}
+     */
+    _requestPage(page, append) {
+        const source = this._dataSource;
+        this.cancelLoading();
+
+        const controller = new AbortController();
+        const requestId = ++source.requestId;
+        const isCurrent = () => this._dataSource === source && source.requestId === requestId;
+        const pageOrCursor = source.cursorBased ? (append ? source.cursor : null) : page;
+
+        const request = Promise.resolve()
+            .then(() => source.fetch(pageOrCursor, source.pageSize, controller.signal))
+            .then(result => {
+                if (!isCurrent()) return null;
+
+                const items = source.cursorBased ? result?.items : result;
+                if (!Array.isArray(items)) {
+                    throw new Error(
+                        source.cursorBased
+                            ? "ListView error: Nguồn dữ liệu theo con trỏ phải trả về object dạng '{ items: T[], nextCursor }'."
+                            : `ListView error: Nguồn dữ liệu phải trả về mảng chứa các phần tử thuộc kiểu '${this._DataType.name}'.`
+                    );
+                }
+
+                if (append) this.push(...items);
+                else this.setDataCollection([...items]);
+
+                // Chỉ chuyển trang (con trỏ) sau khi dữ liệu đã được chèn, để thử lại khi dữ liệu lỗi vẫn tải đúng trang đó
+                if (source.cursorBased) {
+                    source.cursor = result.nextCursor ?? null;
+                    source.hasMore = source.cursor !== null;
+                } else {
+                    source.page = page;
+                    source.hasMore = items.length >= source.pageSize;
+                }
+
+                // Quan sát lại để kiểm tra sentinel có còn trong vùng nhìn thấy (trang vừa tải chưa lấp đầy container)
+                if (source.observer) {
+                    source.observer.unobserve(source.sentinel);
+                    source.observer.observe(source.sentinel);
+                }
+
+                return items;
+            })
+            .catch(error => {
+                if (!isCurrent()) return null;
+                this.setError(error, () => this._requestPage(page, append).catch(() => { }));
+                throw error;
+            })
+            .finally(() => {
+                if (!isCurrent()) return;
+                source.controller = null;
+                source.request = null;
+                this.setLoading(false);
+            });
+
+        source.controller = controller;
+        source.request = request;
+        source.appending = append;
+        this.setError(null).setLoading(true);
+        return request;
+    }
+
+    /**
+     * @private
+     * - Bắt đầu render chia nhỏ danh sách hiển thị hiện tại, phần đầu tiên được render ngay
+     * - Khi chưa thiết lập `keyBy`, các dòng cũ được gỡ hết và tạo lại dần theo từng phần
+     */
+    _startChunkedRender() {
+        const chunking = this._chunking;
+        if (this._keyExtractor) this._assertUniqueKeys(this._view);
+        else this._rebuild([]);
+
+        const task = { rendered: 0, cancel: null, resolve: null, reject: null };
+        chunking.complete = new Promise((resolve, reject) => Object.assign(task, { resolve, reject }));
+        // Lỗi đã được báo qua `render` hoặc `renderError`, không để thành unhandled rejection khi không ai đọc `renderComplete`
+        chunking.complete.catch(() => { });
+        chunking.task = task;
+        this._renderChunk(task);
+    }
+
+    /**
+     * @private
+     * - Render phần tiếp theo của lần render chia nhỏ và lên lịch cho phần sau đó
+     * - Các dòng cũ (cùng khóa) thuộc phần chưa render vẫn được giữ lại ở cuối danh sách để không bị tạo lại
+     * @param {NonNullable<ListView<T>['_chunking']>['task']} task
+     * @param {IdleDeadline} [deadline] - Thời gian rảnh còn lại khi được gọi từ `requestIdleCallback`
+     * @param {number} [minIndex] - Render ngay cho tới khi có dòng tại vị trí này (dùng bởi `scrollToIndex`), lỗi được ném ra cho nơi gọi
+     */
+    _renderChunk(task, deadline, minIndex = -1) {
+        const chunking = this._chunking;
+        const view = this._view;
+        const isFirstChunk = task.rendered === 0;
+        const startTime = performance.now();
+        const hasTime = () => chunking.timeBudget !== null
+            && performance.now() - startTime < chunking.timeBudget
+            && (!deadline || deadline.timeRemaining() > 0);
+
+        try {
+            this._captureLayout();
+            do {
+                const from = task.rendered;
+                task.rendered = Math.min(task.rendered + chunking.chunkSize, view.length);
+                if (from === 0) {
+                    // Chỉ phần đầu tiên đối chiếu toàn bộ dòng cũ, các dòng cũ thuộc phần chưa render được xếp theo thứ tự hiển thị ở cuối
+                    const renderedKeys = new Set(this._rows.map(row => row.key));
+                    const pendingRows = this._keyExtractor
+                        ? view.slice(task.rendered).filter(data => renderedKeys.has(this._rowKey(data)))
+                        : [];
+                    this._reconcile([...view.slice(0, task.rendered), ...pendingRows]);
+                } else {
+                    this._renderChunkRows(view, from, task.rendered);
+                }
+            } while (task.rendered < view.length && (task.rendered <= minIndex || hasTime()));
+
+            this._afterRowsChanged();
+            this._emit("renderProgress", task.rendered, view.length);
+        } catch (error) {
+            chunking.task = null;
+            task.reject(error);
+            // Phần đầu tiên được render ngay trong `render`, lỗi được `render` ném ra như khi không chia nhỏ
+            if (isFirstChunk) throw error;
+            this._emit("renderError", error);
+            if (minIndex >= 0) throw error;
+            return;
+        } finally {
+            this._discardLayout();
+        }
+
+        if (task.rendered < view.length) {
+            if (chunking.timeBudget !== null && typeof requestIdleCallback === "function") {
+                const handle = requestIdleCallback(nextDeadline => this._renderChunk(task, nextDeadline));
+                task.cancel = () => cancelIdleCallback(handle);
+            } else {
+                const frame = requestAnimationFrame(() => this._renderChunk(task));
+                task.cancel = () => cancelAnimationFrame(frame);
+            }
+            return;
+        }
+
+        chunking.task = null;
+        this._emit("afterRender");
+        task.resolve(true);
+    }
+
+    /**
+     * @private
+     * - Render các phần tử `[from, to)` của lần render chia nhỏ, chỉ đối chiếu với các dòng cũ đang chờ ở cuối danh sách
+     * - Dòng chờ đã theo đúng thứ tự hiển thị nên mỗi phần tử chỉ cần so khóa với dòng chờ kế tiếp
+     * @param {T[]} view
+     * @param {number} from
+     * @param {number} to
+     */
+    _renderChunkRows(view, from, to) {
+        const rows = this._rows;
+        const chunkRows = [];
+        const addedRows = [];
+        let pendingIndex = from;
+
+        for (let index = from; index < to; index++) {
+            const data = view[index];
+            const pending = rows[pendingIndex];
+            if (pending && pending.key === this._rowKey(data)) {
+                pendingIndex++;
+                if (pending.data !== data) this._updateRow(pending, data, index);
+                chunkRows.push(pending);
+                continue;
+            }
+
+            const row = this._createRow(data, index);
+
+            // Gọi hook trước khi thêm phần tử
+            this._emit("beforeItemAdded", row.element, data);
+            this._listContainer.insertBefore(row.element, pending?.element ?? this._listEnd());
+            chunkRows.push(row);
+            addedRows.push(row);
+        }
+
+        rows.splice(from, pendingIndex - from, ...chunkRows);
+
+        // Gọi hook sau khi thêm phần tử
+        addedRows.forEach(row => this._emit("afterItemAdded", row.element, row.data));
+    }
+
+    /**
+     * @private
+     * - Dừng lần render chia nhỏ đang dở (nếu có)
+     * @param {boolean} completed - Giá trị trả về cho `renderComplete`: danh sách đã được render đầy đủ theo cách khác hay bị bỏ dở
+     */
+    _cancelChunkedRender(completed) {
+        const task = this._chunking?.task;
+        if (!task) return;
+
+        task.cancel?.();
+        this._chunking.task = null;
+        task.resolve(completed);
+    }
+
+    /**
+     * @private
+     * - Tạo phần tử ẩn do ListView quản lý (phần giữ chỗ của chế độ virtual, sentinel của infinite scroll)
+     * - Dùng cùng thẻ với mẫu để hợp lệ trong mọi loại container (`ul`, `tbody`, ...)
+     * @returns {HTMLElement}
+     */
+    _createSpacer() {
+        const spacer = document.createElement(this._itemTemplate.tagName);
+        spacer.setAttribute("aria-hidden", "true");
+        Object.assign(spacer.style, { height: "0px", margin: "0", padding: "0", border: "0", listStyle: "none", visibility: "hidden" });
+        return spacer;
+    }
+
+    /**
+     * @private
+     * - Ngừng theo dõi cuộn và kích thước container của chế độ virtual
+     */
+    _releaseVirtual() {
+        const virtual = this._virtual;
+        virtual.controller.abort();
+        virtual.resizeObserver?.disconnect();
+        if (virtual.frame) cancelAnimationFrame(virtual.frame);
+        virtual.frame = 0;
+    }
+
+    /**
+     * @private
+     * - Gộp các yêu cầu render vùng nhìn thấy (khi cuộn hoặc đổi kích thước) vào một frame
+     */
+    _scheduleVirtualRender() {
+        if (!this._virtual || this._virtual.frame) return;
+        this._virtual.frame = requestAnimationFrame(() => this._renderVirtual());
+    }
+
+    /**
+     * @private
+     * - Render các dòng thuộc vùng nhìn thấy hiện tại ở chế độ virtual:
+     *      - Dòng vẫn nằm trong vùng nhìn thấy được giữ nguyên (binding lại nếu đổi object dữ liệu cùng khóa)
+     *      - Dòng ra khỏi vùng nhìn thấy được gỡ và node của nó được dùng lại cho dòng mới vào
+     *      - Chiều cao phần bị bỏ qua được giữ bằng hai phần tử giữ chỗ ở đầu và cuối
+     */
+    _renderVirtual() {
+        const virtual = this._virtual;
+        const container = this._listContainer;
+        const collection = this._view;
+
+        if (virtual.frame) cancelAnimationFrame(virtual.frame);
+        virtual.frame = 0;
+
+        let { start, end, offsetTop, offsetBottom } =
+            virtual.viewport.computeWindow(collection, container.scrollTop, container.clientHeight);
+        const visibleItems = collection.slice(start, end);
+        const visibleKeys = new Set(visibleItems.map(data => this._rowKey(data)));
+
+        /** @type {Map<any, ListRow<T>>} */
+        const keptRows = new Map();
+        /** @type {Map<string, HTMLElement[]>} */
+        const recycledElements = new Map();
+        this._rows.forEach(row => {
+            if (visibleKeys.has(row.key) && !keptRows.has(row.key)) {
+                keptRows.set(row.key, row);
+                return;
+            }
+            this._emit("beforeItemRemoved", row.element, row.data);
+            row.element.remove();
+            this._emit("afterItemRemoved", row.element, row.data);
+            if (!recycledElements.has(row.template)) recycledElements.set(row.template, []);
+            recycledElements.get(row.template).push(row.element);
+        });
+
+        const addedRows = [];
+        const rows = visibleItems.map((data, offset) => {
+            const index = start + offset;
+            const key = this._rowKey(data);
+            const existing = keptRows.get(key);
+
+            if (existing) {
+                keptRows.delete(key);
+                if (existing.data !== data) this._updateRow(existing, data, index);
+                return existing;
+            }
+
+            const template = this._templateName(data, index);
+            const recycled = recycledElements.get(template)?.pop();
+            if (recycled) this._bindItem(recycled, data, index, template);
+            const row = { key, element: recycled ?? this._createItem(data, index, template), data, template };
+            addedRows.push(row);
+
+            // Gọi hook trước khi thêm phần tử
+            this._emit("beforeItemAdded", row.element, data);
+            return row;
+        });
+
+        // Duyệt ngược, chỉ chèn những node chưa đứng đúng chỗ
+        let nextSibling = virtual.bottomSpacer;
+        for (let index = rows.length - 1; index >= 0; index--) {
+            const { element } = rows[index];
+            if (element.nextElementSibling !== nextSibling) {
+                container.insertBefore(element, nextSibling);
+            }
+            nextSibling = element;
+        }
+
+        this._rows = rows;
+
+        // Gọi hook sau khi thêm phần tử
+        addedRows.forEach(row => this._emit("afterItemAdded", row.element, row.data));
+
+        // Đo lại chiều cao thực tế và cập nhật phần giữ chỗ nếu số liệu ước lượng bị sai
+        let measurementChanged = false;
+        rows.forEach(row => {
+            measurementChanged = virtual.viewport.measure(row.data, row.element.offsetHeight) || measurementChanged;
         });
+        if (measurementChanged) {
+            offsetTop = virtual.viewport.offsetOf(collection, start);
+            offsetBottom = virtual.viewport.offsetOf(collection, collection.length) - virtual.viewport.offsetOf(collection, end);
+        }
 
-        if (this._afterRender) this._afterRender();
+        virtual.topSpacer.style.height = `${offsetTop}px`;
+        virtual.bottomSpacer.style.height = `${offsetBottom}px`;
+        this._syncTree();
+        this._syncSelection();
     }
 
     /**
@@ -262,4 +3691,92 @@ export default class ListView {
             binderFunction(binding, data);
         };
     }
-}
\ No newline at end of file
+}
+
+/**
+ * - Chờ các animation/transition đang chạy trên phần tử kết thúc (kể cả khi bị hủy)
+ * - Trình duyệt không hỗ trợ `getAnimations` được coi như không có animation nào
+ * @param {HTMLElement} element
+ * @returns {Promise<void>}
+ */
+function afterAnimations(element) {
+    const animations = element.getAnimations?.() ?? [];
+    return Promise.allSettled(animations.map(animation => animation.finished)).then(() => {});
+}
+
+/**
+ * - Chuẩn hóa HTML của một dòng để so sánh khi hydrate, bỏ thuộc tính `lv-key` và khoảng trắng thừa giữa các thẻ
+ * @param {HTMLElement} element
+ * @returns {string}
+ */
+function normalizeMarkup(element) {
+    const clone = /** @type {HTMLElement} */ (element.cloneNode(true));
+    clone.removeAttribute(ListView.KEY_ATTRIBUTE);
+    return clone.outerHTML.replace(/>\s+</g, "><").replace(/\s+/g, " ").trim();
+}
+
+/**
+ * - Tìm dãy con tăng dài nhất trong dãy vị trí cũ, bỏ qua các giá trị âm (dòng mới)
+ * @param {number[]} sequence
+ * @returns {Set<number>} - Tập các index trong `sequence` thuộc dãy con tăng dài nhất
+ */
+function longestIncreasingSubsequence(sequence) {
+    /** @type {number[]} */
+    const tails = [];
+    /** @type {number[]} */
+    const previous = new Array(sequence.length);
+
+    sequence.forEach((value, index) => {
+        if (value < 0) return;
+
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (sequence[tails[middle]] < value) low = middle + 1;
+            else high = middle;
+        }
+
+        previous[index] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = index;
+    });
+
+    const result = new Set();
+    let index = tails.length ? tails[tails.length - 1] : -1;
+    while (index >= 0) {
+        result.add(index);
+        index = previous[index];
+    }
+    return result;
+}
+
+/**
+ * - Chuẩn hóa chuỗi để tìm kiếm: chữ thường, bỏ dấu tiếng Việt và khoảng trắng thừa
+ * @param {any} text
+ * @returns {string}
+ */
+function normalizeSearchText(text) {
+    return String(text)
+        .toLocaleLowerCase()
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .replace(/đ/g, "d")
+        .trim();
+}
+
+/**
+ * - Kiểm tra phần tử có trường nào chứa từ khóa tìm kiếm hay không
+ * @param {any} data
+ * @param {string} query - Từ khóa đã chuẩn hóa
+ * @param {string[] | null} fields - Các trường được tìm kiếm, `null` nghĩa là mọi thuộc tính kiểu chuỗi, số
+ * @returns {boolean}
+ */
+function matchesSearch(data, query, fields) {
+    const values = fields
+        ? fields.map(field => field.split(".").reduce((value, segment) => value?.[segment], data))
+        : Object.values(data);
+
+    return values.some(value =>
+        (typeof value === "string" || typeof value === "number") && normalizeSearchText(value).includes(query)
+    );
+}